@@ -1,13 +1,222 @@
 ﻿import { useEffect, useMemo, useRef, useState } from "react";
 import { hasSupabaseConfig, supabase } from "./supabaseClient";
+import { ADMIN_SECTION_PATHS, Link, navigate, orderPath, productPath, useRoute } from "./router";
+import { downloadCsv, parseCsv } from "./csv";
+import { LANGUAGES, isSupportedLanguage, setLanguage, t, useLanguage } from "./i18n";
+import {
+  PAYMENT_PROVIDERS,
+  PAYMENT_PROVIDER_UNAVAILABLE_CODE,
+  PAYMENT_SELECT,
+  confirmLocalPayment,
+  confirmPaymentInBrowser,
+  createLocalPaymentIntent,
+  createPaymentIntent,
+  normalizePayment
+} from "./payments";
 import categoriesSeed from "./data/categories.json";
 import ordersSeed from "./data/orders.json";
+import bannersSeed from "./data/banners.json";
+import couponsSeed from "./data/coupons.json";
+import exchangeRatesSeed from "./data/exchangeRates.json";
 
 const PRODUCT_IMAGE_BUCKET = import.meta.env.VITE_SUPABASE_PRODUCT_IMAGE_BUCKET || "product-images";
 const ROLE_USER = "user";
 const ROLE_ADMIN = "admin";
+const ROLE_CATALOG_MANAGER = "catalog_manager";
+const ROLE_FULFILLMENT = "fulfillment";
+const PERMISSION_CATALOG = "catalog.manage";
+const PERMISSION_ORDERS = "orders.manage";
+const PERMISSION_ANALYTICS = "analytics.view";
+const PERMISSION_USERS = "users.manage";
+// Mirrors the public.role_permissions rows seeded in supabase/rls.sql. RLS checks permissions on every read and
+// write; this copy only decides which Admin Portal sections a role is shown.
+const ROLE_PERMISSIONS = {
+  [ROLE_USER]: [],
+  [ROLE_ADMIN]: [PERMISSION_CATALOG, PERMISSION_ORDERS, PERMISSION_ANALYTICS, PERMISSION_USERS],
+  [ROLE_CATALOG_MANAGER]: [PERMISSION_CATALOG],
+  [ROLE_FULFILLMENT]: [PERMISSION_ORDERS]
+};
+const ROLE_LABEL_KEYS = {
+  [ROLE_USER]: "role.user",
+  [ROLE_ADMIN]: "role.admin",
+  [ROLE_CATALOG_MANAGER]: "role.catalogManager",
+  [ROLE_FULFILLMENT]: "role.fulfillment"
+};
+const ADMIN_SECTIONS = [
+  { id: "add-product", labelKey: "admin.section.addProduct", permission: PERMISSION_CATALOG },
+  { id: "view-orders", labelKey: "admin.section.viewOrders", permission: PERMISSION_ORDERS },
+  { id: "manage-products", labelKey: "admin.section.manageProducts", permission: PERMISSION_CATALOG },
+  { id: "returns", labelKey: "admin.section.returns", permission: PERMISSION_ORDERS },
+  { id: "analytics", labelKey: "admin.section.analytics", permission: PERMISSION_ANALYTICS },
+  { id: "users", labelKey: "admin.section.users", permission: PERMISSION_USERS },
+  { id: "banners", labelKey: "admin.section.banners", permission: PERMISSION_CATALOG },
+  { id: "coupons", labelKey: "admin.section.coupons", permission: PERMISSION_CATALOG },
+  { id: "pricing", labelKey: "admin.section.pricing", permission: PERMISSION_CATALOG },
+  { id: "currencies", labelKey: "admin.section.currencies", permission: PERMISSION_CATALOG }
+];
 const ROLE_FETCH_TIMEOUT_MS = 4000;
 const ORDER_STATUSES = ["Placed", "Processing", "Shipped", "Delivered", "Cancelled"];
+// Mirrors public.order_status_transition_allowed() in supabase/rls.sql, which is what actually enforces it.
+const ORDER_STATUS_TRANSITIONS = {
+  Placed: ["Processing", "Cancelled"],
+  Processing: ["Shipped", "Cancelled"],
+  Shipped: ["Delivered"],
+  Delivered: [],
+  Cancelled: []
+};
+// Statuses are stored in English; these only translate them for display.
+const ORDER_STATUS_LABEL_KEYS = {
+  Placed: "orderStatus.placed",
+  Processing: "orderStatus.processing",
+  Shipped: "orderStatus.shipped",
+  Delivered: "orderStatus.delivered",
+  Cancelled: "orderStatus.cancelled"
+};
+const RETURN_STATUS_LABEL_KEYS = {
+  Pending: "returnStatus.pending",
+  Approved: "returnStatus.approved",
+  Rejected: "returnStatus.rejected"
+};
+const CUSTOMER_CANCELLABLE_STATUSES = ["Placed", "Processing"];
+const PAYMENT_STATUS_LABEL_KEYS = {
+  pending: "paymentStatus.pending",
+  succeeded: "paymentStatus.succeeded",
+  failed: "paymentStatus.failed",
+  refunded: "paymentStatus.refunded"
+};
+const RETURN_REASON_MAX_LENGTH = 500;
+const LOW_STOCK_THRESHOLD = 5;
+const PRODUCT_SELECT = "id, name, category_id, price, rating, review_count, badge, description, color, image, stock";
+const REVIEW_SELECT = "id, product_id, user_id, rating, comment, status, created_at";
+const REVIEW_MAX_LENGTH = 1000;
+const ORDER_SELECT =
+  `id, user_id, status, order_date, subtotal, discount, coupon_code, tax, shipping_fee, charges_recorded, stock_reserved, total, currency, exchange_rate, items_count, shipping_address, created_at, profiles:user_id(email), order_items(id, product_id, product_name, unit_price, quantity), order_status_history(id, from_status, to_status, changed_at, profiles:changed_by(email)), return_requests(id, reason, status, admin_note, created_at, resolved_at), payments(${PAYMENT_SELECT})`;
+const ADDRESS_SELECT = "id, label, full_name, phone, line1, line2, city, state, postal_code, country, is_default";
+const ADDRESS_FIELDS = [
+  { key: "label", column: "label", required: false },
+  { key: "fullName", column: "full_name", required: true },
+  { key: "phone", column: "phone", required: true },
+  { key: "line1", column: "line1", required: true },
+  { key: "line2", column: "line2", required: false },
+  { key: "city", column: "city", required: true },
+  { key: "state", column: "state", required: true },
+  { key: "postalCode", column: "postal_code", required: true },
+  { key: "country", column: "country", required: true }
+];
+const EMPTY_ADDRESS_DRAFT = { ...Object.fromEntries(ADDRESS_FIELDS.map((field) => [field.key, ""])), country: "India" };
+const AUTH_VIEW_PASSWORD = "password";
+const AUTH_VIEW_RESET = "reset";
+const AUTH_VIEW_EMAIL_CODE = "email-code";
+const AUTH_VIEW_MAGIC_LINK = "magic-link";
+const AUTH_VIEW_SUBTITLE_KEYS = {
+  [AUTH_VIEW_RESET]: "auth.subtitle.reset",
+  [AUTH_VIEW_EMAIL_CODE]: "auth.subtitle.emailCode",
+  [AUTH_VIEW_MAGIC_LINK]: "auth.subtitle.magicLink"
+};
+const AUTH_VIEW_LINKS = [
+  { view: AUTH_VIEW_PASSWORD, labelKey: "auth.link.password" },
+  { view: AUTH_VIEW_RESET, labelKey: "auth.link.reset" },
+  { view: AUTH_VIEW_EMAIL_CODE, labelKey: "auth.link.emailCode" },
+  { view: AUTH_VIEW_MAGIC_LINK, labelKey: "auth.link.magicLink" }
+];
+const RECOVERY_REDIRECT_PATH = "/reset-password";
+const CART_STORAGE_PREFIX = "streamline:cart:";
+const PREFERENCES_STORAGE_PREFIX = "streamline:preferences:";
+const CART_SYNC_DELAY_MS = 600;
+const CART_REMOVAL_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const TOAST_DURATION_MS = 5000;
+const PRODUCT_PAGE_SIZE = 24;
+const ORDER_PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 300;
+const OPEN_ORDER_STATUSES = ["Placed", "Processing", "Shipped"];
+// Storefront sort options and the products column each one orders by on the server.
+const PRODUCT_SORTS = {
+  newest: { column: "id", ascending: false, labelKey: "products.sort.newest" },
+  priceLow: { column: "price", ascending: true, labelKey: "products.sort.priceLow" },
+  priceHigh: { column: "price", ascending: false, labelKey: "products.sort.priceHigh" },
+  rating: { column: "rating", ascending: false, labelKey: "products.sort.rating" },
+  name: { column: "name", ascending: true, labelKey: "products.sort.name" }
+};
+const ANALYTICS_BUCKETS = [
+  { value: "day", labelKey: "admin.analytics.bucket.day" },
+  { value: "week", labelKey: "admin.analytics.bucket.week" },
+  { value: "month", labelKey: "admin.analytics.bucket.month" }
+];
+const ANALYTICS_DEFAULT_DAYS = 30;
+const CSV_EXPORT_BATCH_SIZE = 1000;
+// Prices and order amounts are stored in INR and converted with public.exchange_rates only for display.
+const BASE_CURRENCY = "INR";
+const DEFAULT_LOCALE = "en-IN";
+const BASE_MONEY = { currency: BASE_CURRENCY, rate: 1, locale: DEFAULT_LOCALE };
+const LOCALE_OPTIONS = [
+  { value: "en-IN", label: "English (India)" },
+  { value: "en-US", label: "English (United States)" },
+  { value: "en-GB", label: "English (United Kingdom)" },
+  { value: "de-DE", label: "Deutsch (Deutschland)" },
+  { value: "fr-FR", label: "Français (France)" },
+  { value: "ja-JP", label: "日本語 (日本)" }
+];
+const EXCHANGE_RATE_SELECT = "currency, rate, updated_at";
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+const EMPTY_EXCHANGE_RATE_DRAFT = { currency: "", rate: "" };
+// An empty currency or locale follows the store default; an empty language keeps the one last used on this device.
+const EMPTY_PREFERENCES = { currency: "", locale: "", language: "" };
+const CATEGORY_SELECT = "id, name, tax_rate";
+const STORE_SETTINGS_SELECT = "default_tax_rate, shipping_fee, free_shipping_threshold, default_currency, default_locale";
+// Matches the column defaults of public.store_settings, and prices local orders when Supabase is not configured.
+const DEFAULT_STORE_SETTINGS = {
+  defaultTaxRate: 18,
+  shippingFee: 99,
+  freeShippingThreshold: 999,
+  defaultCurrency: BASE_CURRENCY,
+  defaultLocale: DEFAULT_LOCALE
+};
+const BANNER_SELECT = "id, title, subtitle, cta_label, cta_type, cta_target, image, sort_order, starts_at, ends_at";
+const BANNER_ROTATE_MS = 6000;
+// setTimeout fires immediately for delays past this, so far-off banner windows are re-checked in steps.
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+const BANNER_CTA_TYPES = [
+  { value: "none", labelKey: "admin.banners.cta.none" },
+  { value: "category", labelKey: "admin.banners.cta.category" },
+  { value: "product", labelKey: "admin.banners.cta.product" },
+  { value: "url", labelKey: "admin.banners.cta.url" }
+];
+const COUPON_SELECT =
+  "id, code, discount_type, discount_value, min_order, expires_at, max_uses, max_uses_per_user, category_ids, is_active";
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const EMPTY_COUPON_DRAFT = {
+  code: "",
+  discountType: "percent",
+  discountValue: "",
+  minOrder: "0",
+  expiresAt: "",
+  maxUses: "",
+  maxUsesPerUser: "",
+  categoryIds: [],
+  isActive: true
+};
+const EMPTY_BANNER_DRAFT = {
+  title: "",
+  subtitle: "",
+  ctaLabel: "",
+  ctaType: "none",
+  ctaTarget: "",
+  sortOrder: "0",
+  startsAt: "",
+  endsAt: "",
+  image: ""
+};
+const ORDER_CSV_HEADER = ["order_id", "date", "status", "customer_email", "items", "subtotal", "discount", "coupon_code", "tax", "shipping_fee", "total", "currency", "exchange_rate", "payment_status", "shipping_address", "line_items"];
+const PRODUCT_CSV_HEADER = ["id", "name", "category", "price", "stock", "description", "badge", "image", "rating", "review_count"];
+const USER_PAGE_SIZE = 25;
+const USER_SELECT = "id, email, role, created_at, orders(count)";
+const ROLE_CHANGE_SELECT =
+  "id, from_role, to_role, changed_at, user:profiles!role_changes_user_id_fkey(email), actor:profiles!role_changes_changed_by_fkey(email)";
+const PRODUCT_IMPORT_REQUIRED_COLUMNS = ["name", "category", "price", "stock", "description"];
+
+function isValidEmail(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim());
+}
 
 async function ensureUserProfile(authUser) {
   if (!supabase || !authUser?.id) return;
@@ -37,7 +246,13 @@ async function getUserRole(authUser) {
     return ROLE_USER;
   }
 
-  return String(data.role || ROLE_USER).toLowerCase() === ROLE_ADMIN ? ROLE_ADMIN : ROLE_USER;
+  return normalizeRole(data.role);
+}
+
+// Roles this build does not know about get no staff access rather than being trusted blindly.
+function normalizeRole(role) {
+  const value = String(role || ROLE_USER).toLowerCase();
+  return ROLE_PERMISSIONS[value] ? value : ROLE_USER;
 }
 
 async function getUserRoleWithTimeout(authUser, timeoutMs = ROLE_FETCH_TIMEOUT_MS) {
@@ -59,292 +274,2227 @@ async function getUserRoleWithTimeout(authUser, timeoutMs = ROLE_FETCH_TIMEOUT_M
   }
 }
 
-function formatCurrency(amount) {
-  return new Intl.NumberFormat("en-IN", {
+// `amount` is in INR; `money` picks the currency it is shown in, the rate from INR and the number format.
+function formatCurrency(amount, { currency, rate, locale } = BASE_MONEY) {
+  return new Intl.NumberFormat(locale, {
     style: "currency",
-    currency: "INR",
-    maximumFractionDigits: 0
-  }).format(amount);
+    currency,
+    maximumFractionDigits: currency === BASE_CURRENCY ? 0 : undefined
+  }).format(amount * rate);
 }
 
-function normalizeProduct(product) {
-  return {
-    ...product,
-    id: String(product.id),
-    price: Number(product.price) || 0
-  };
+// Orders are shown at the rate recorded when they were placed, so later rate changes do not alter them.
+function orderMoney(order, locale) {
+  return { currency: order.currency, rate: order.exchangeRate, locale };
 }
 
-function normalizeCategory(category) {
-  return {
-    id: String(category.id),
-    name: String(category.name || "").trim()
-  };
+// Payments are charged in their own currency (INR today), so they are shown as charged rather than converted.
+function paymentMoney(payment, locale) {
+  return { currency: payment.currency, rate: 1, locale };
 }
 
-function normalizeOrder(order, fallback = {}) {
+function normalizeExchangeRate(row) {
   return {
-    id: String(order.id),
-    status: ORDER_STATUSES.includes(order.status) ? order.status : "Placed",
-    date: order.order_date || order.date || new Date().toISOString().slice(0, 10),
-    total: Number(order.total) || 0,
-    items: Number(order.items_count ?? order.items) || 0,
-    userId: order.user_id || fallback.userId || null,
-    userEmail: order.profiles?.email || fallback.userEmail || "Unknown"
+    currency: String(row.currency || "").toUpperCase(),
+    rate: Number(row.rate) || 0,
+    updatedAt: row.updated_at ?? row.updatedAt ?? null
   };
 }
 
-function ProductCard({ product, quantity, onIncrease, onDecrease }) {
-  return (
-    <article className="product-card">
-      <div className="product-media" style={{ background: product.color || "#2563eb" }}>
-        {product.image ? (
-          <img src={product.image} alt={product.name} loading="lazy" />
-        ) : (
-          <span>{product.category}</span>
-        )}
-        {quantity > 0 ? (
-          <div className="image-qty-control" role="group" aria-label={`Quantity for ${product.name}`}>
-            <button type="button" onClick={() => onDecrease(product.id)}>
-              -
-            </button>
-            <span>{quantity}</span>
-            <button type="button" onClick={() => onIncrease(product.id)}>
-              +
-            </button>
-          </div>
-        ) : (
-          <button className="image-add-btn" type="button" onClick={() => onIncrease(product.id)}>
-            ADD
-          </button>
-        )}
-      </div>
-      <div className="product-body">
-        <p className="product-chip">{product.category}</p>
-        <h3>{product.name}</h3>
-        <p className="product-meta">{product.description}</p>
-        <strong>{formatCurrency(product.price)}</strong>
-      </div>
-    </article>
+function sortExchangeRates(rates) {
+  return [...rates].sort((a, b) =>
+    a.currency === BASE_CURRENCY ? -1 : b.currency === BASE_CURRENCY ? 1 : a.currency.localeCompare(b.currency)
   );
 }
 
-function Storefront({ user, userRole, onLogout }) {
-  const [activeTab, setActiveTab] = useState("products");
-  const [categories, setCategories] = useState(() =>
-    hasSupabaseConfig && supabase ? [] : categoriesSeed.map(normalizeCategory)
-  );
-  const [products, setProducts] = useState([]);
-  const [orders, setOrders] = useState([]);
-  const [selectedCategory, setSelectedCategory] = useState("All");
-  const [search, setSearch] = useState("");
-  const [cartItems, setCartItems] = useState([]);
-
-  const [newCategoryName, setNewCategoryName] = useState("");
-  const [newProductName, setNewProductName] = useState("");
-  const [newProductCategory, setNewProductCategory] = useState("");
-  const [newProductPrice, setNewProductPrice] = useState("");
-  const [newProductDescription, setNewProductDescription] = useState("");
-  const [newProductImageFile, setNewProductImageFile] = useState(null);
+// Stock is only checked when given, because product edits change it separately from the other fields.
+function getProductFieldErrors({ name, categoryId, description, price, stock }) {
+  const errors = [];
+  if (!name) errors.push(t("product.error.nameRequired"));
+  if (!categoryId) errors.push(t("product.error.categoryRequired"));
+  if (!description) errors.push(t("product.error.descriptionRequired"));
+  if (!Number.isFinite(price) || price <= 0) errors.push(t("product.error.priceInvalid"));
+  if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) errors.push(t("product.error.stockInvalid"));
+  return errors;
+}
 
-  const [adminSection, setAdminSection] = useState("add-product");
-  const [adminOrderSearch, setAdminOrderSearch] = useState("");
-  const [adminOrderStatusFilter, setAdminOrderStatusFilter] = useState("All");
-  const [adminOrderDateFilter, setAdminOrderDateFilter] = useState("");
-  const [adminOrderSort, setAdminOrderSort] = useState("newest");
-  const [adminProductSearch, setAdminProductSearch] = useState("");
+function hasValidProductFields(fields) {
+  return getProductFieldErrors(fields).length === 0;
+}
 
-  const [adminMessage, setAdminMessage] = useState("");
-  const [orderMessage, setOrderMessage] = useState("");
-  const [categoriesLoading, setCategoriesLoading] = useState(() => hasSupabaseConfig && Boolean(supabase));
-  const [productsLoading, setProductsLoading] = useState(() => hasSupabaseConfig && Boolean(supabase));
-  const [ordersLoading, setOrdersLoading] = useState(false);
+function parseNumberInput(text) {
+  return text.trim() === "" ? Number.NaN : Number(text);
+}
 
-  const productImageInputRef = useRef(null);
-  const isAdmin = userRole === ROLE_ADMIN;
-  const categoryOptions = useMemo(() => [{ id: "all", name: "All" }, ...categories], [categories]);
+// Turns an uploaded CSV into preview rows, each checked with the same rules as addProduct.
+function parseProductImport(text, categories) {
+  const [headerRow, ...dataRows] = parseCsv(text);
+  if (!headerRow) return { error: t("admin.import.error.empty"), rows: [] };
 
-  useEffect(() => {
-    if (!newProductCategory && categories.length > 0) {
-      setNewProductCategory(categories[0].name);
-    }
-  }, [categories, newProductCategory]);
+  const header = headerRow.map((cell) => cell.trim().toLowerCase());
+  const missingColumns = PRODUCT_IMPORT_REQUIRED_COLUMNS.filter((column) => !header.includes(column));
+  if (missingColumns.length > 0) {
+    return { error: t("admin.import.error.missingColumns", { columns: missingColumns.join(", ") }), rows: [] };
+  }
+  if (dataRows.length === 0) return { error: t("admin.import.error.noRows"), rows: [] };
+
+  const categoryIdByName = new Map(categories.map((category) => [category.name.toLowerCase(), category.id]));
+  const rows = dataRows.map((cells, index) => {
+    const value = (column) => String(cells[header.indexOf(column)] ?? "").trim();
+    const categoryName = value("category");
+    const categoryId = categoryIdByName.get(categoryName.toLowerCase()) || "";
+    const row = {
+      line: index + 2,
+      name: value("name"),
+      categoryName,
+      categoryId,
+      description: value("description"),
+      priceText: value("price"),
+      price: parseNumberInput(value("price")),
+      stockText: value("stock"),
+      stock: parseNumberInput(value("stock")),
+      badge: value("badge"),
+      image: value("image")
+    };
 
-  useEffect(() => {
-    if (selectedCategory === "All") return;
-    const exists = categories.some((category) => category.name === selectedCategory);
-    if (!exists) {
-      setSelectedCategory("All");
-    }
-  }, [categories, selectedCategory]);
+    const errors = getProductFieldErrors({ ...row, categoryId: categoryId || categoryName });
+    if (categoryName && !categoryId) errors.push(t("admin.import.error.unknownCategory", { category: categoryName }));
+    if (row.image && !/^https?:\/\//i.test(row.image)) errors.push(t("admin.import.error.imageUrl"));
+    return { ...row, errors };
+  });
 
-  useEffect(() => {
-    if (!isAdmin && activeTab === "admin") {
-      setActiveTab("products");
-    }
-  }, [activeTab, isAdmin]);
+  return { error: "", rows };
+}
 
-  useEffect(() => {
-    let active = true;
+function orderCsvRow(order) {
+  return [
+    order.id,
+    order.date,
+    order.status,
+    order.userEmail,
+    order.items,
+    order.subtotal.toFixed(2),
+    order.discount.toFixed(2),
+    order.couponCode || "",
+    order.chargesRecorded ? order.tax.toFixed(2) : "",
+    order.chargesRecorded ? order.shippingFee.toFixed(2) : "",
+    order.total.toFixed(2),
+    order.currency,
+    order.exchangeRate,
+    latestPayment(order)?.status || "",
+    order.shippingAddress ? formatAddress(order.shippingAddress) : "",
+    order.lineItems.map((item) => `${item.name} x${item.qty}`).join("; ")
+  ];
+}
 
-    const loadCategories = async () => {
-      if (!hasSupabaseConfig || !supabase) {
-        setCategories(categoriesSeed.map(normalizeCategory));
-        setCategoriesLoading(false);
-        return;
-      }
+function productCsvRow(product, categoryName) {
+  return [
+    product.id,
+    product.name,
+    categoryName,
+    product.price.toFixed(2),
+    product.stock,
+    product.description || "",
+    product.badge || "",
+    product.image || "",
+    product.rating,
+    product.reviewCount
+  ];
+}
 
-      setCategoriesLoading(true);
-      const { data, error } = await supabase.from("categories").select("id, name").order("name", { ascending: true });
+async function uploadProductImage(file, folder = "products") {
+  const extension = file.name.split(".").pop()?.toLowerCase() || "jpg";
+  const safeExtension = extension.replace(/[^a-z0-9]/g, "") || "jpg";
+  const imagePath = `${folder}/${Date.now()}-${Math.random().toString(36).slice(2)}.${safeExtension}`;
+  const { error } = await supabase.storage
+    .from(PRODUCT_IMAGE_BUCKET)
+    .upload(imagePath, file, { cacheControl: "3600", upsert: false });
 
-      if (!active) return;
-      if (error) {
-        setAdminMessage(`Supabase category fetch failed: ${error.message}`);
-        setCategoriesLoading(false);
-        return;
-      }
+  if (error) {
+    return { url: null, path: null, error };
+  }
 
-      setCategories((data || []).map(normalizeCategory));
-      setCategoriesLoading(false);
-    };
+  const { data: publicUrlData } = supabase.storage.from(PRODUCT_IMAGE_BUCKET).getPublicUrl(imagePath);
+  return { url: publicUrlData?.publicUrl || null, path: imagePath, error: null };
+}
 
-    loadCategories();
+async function fetchProductImages(productId) {
+  const { data, error } = await supabase
+    .from("product_images")
+    .select("id, image_url, storage_path, sort_order")
+    .eq("product_id", productId)
+    .order("sort_order", { ascending: true })
+    .order("created_at", { ascending: true });
 
-    return () => {
-      active = false;
-    };
-  }, []);
+  return { images: (data || []).map(normalizeProductImage), error };
+}
 
-  useEffect(() => {
-    let active = true;
+function normalizeProductImage(image) {
+  return {
+    id: String(image.id),
+    url: image.image_url,
+    path: image.storage_path || null,
+    sortOrder: Number(image.sort_order) || 0
+  };
+}
 
-    const loadProducts = async () => {
-      if (!hasSupabaseConfig || !supabase) {
-        setProductsLoading(false);
-        return;
-      }
+function normalizeProduct(product) {
+  return {
+    ...product,
+    id: String(product.id),
+    categoryId: String(product.category_id ?? product.categoryId ?? ""),
+    price: Number(product.price) || 0,
+    rating: Number(product.rating) || 0,
+    reviewCount: Math.max(0, Math.trunc(Number(product.review_count ?? product.reviewCount) || 0)),
+    stock: Math.max(0, Math.trunc(Number(product.stock) || 0))
+  };
+}
 
-      setProductsLoading(true);
-      const { data, error } = await supabase
-        .from("products")
-        .select("id, name, category, price, rating, badge, description, color, image")
-        .order("id", { ascending: false });
+function normalizeCartEntry(entry) {
+  return {
+    productId: String(entry.product_id ?? entry.productId ?? ""),
+    name: String(entry.name || "").trim(),
+    qty: Math.max(0, Math.trunc(Number(entry.quantity ?? entry.qty) || 0)),
+    updatedAt: new Date(entry.updated_at ?? entry.updatedAt ?? 0).getTime() || 0
+  };
+}
 
-      if (!active) return;
-      if (error) {
-        setAdminMessage(`Supabase product fetch failed: ${error.message}`);
-        setProductsLoading(false);
-        return;
-      }
+// Maps product id -> when it left the cart, dropping entries older than CART_REMOVAL_TTL_MS.
+function normalizeCartRemovals(removed) {
+  const cutoff = Date.now() - CART_REMOVAL_TTL_MS;
+  return Object.fromEntries(
+    Object.entries(removed && typeof removed === "object" && !Array.isArray(removed) ? removed : {})
+      .map(([productId, removedAt]) => [productId, new Date(removedAt).getTime() || 0])
+      .filter(([productId, removedAt]) => productId && removedAt > cutoff)
+  );
+}
 
-      setProducts((data || []).map(normalizeProduct));
-      setProductsLoading(false);
-    };
+function normalizeCart(cart) {
+  const items = Array.isArray(cart) ? cart : cart?.items;
+  return {
+    entries: Array.isArray(items)
+      ? items.map(normalizeCartEntry).filter((entry) => entry.productId && entry.qty > 0)
+      : [],
+    removed: normalizeCartRemovals(Array.isArray(cart) ? null : cart?.removed)
+  };
+}
 
-    loadProducts();
+// Stored as { items, removed }. Earlier builds stored a bare array of items.
+function readStoredCart(userId) {
+  try {
+    return normalizeCart(JSON.parse(window.localStorage.getItem(`${CART_STORAGE_PREFIX}${userId}`) || "[]"));
+  } catch (error) {
+    console.error("Failed to read stored cart:", error.message);
+    return { entries: [], removed: {} };
+  }
+}
 
-    return () => {
-      active = false;
+function readStoredPreferences(userId) {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(`${PREFERENCES_STORAGE_PREFIX}${userId}`) || "{}");
+    return {
+      currency: String(parsed.currency || ""),
+      locale: String(parsed.locale || ""),
+      language: isSupportedLanguage(parsed.language) ? parsed.language : ""
     };
-  }, []);
+  } catch (error) {
+    console.error("Failed to read stored preferences:", error.message);
+    return EMPTY_PREFERENCES;
+  }
+}
 
-  useEffect(() => {
-    let active = true;
+function writeStoredPreferences(userId, preferences) {
+  try {
+    window.localStorage.setItem(`${PREFERENCES_STORAGE_PREFIX}${userId}`, JSON.stringify(preferences));
+  } catch (error) {
+    console.error("Failed to store preferences:", error.message);
+  }
+}
 
-    const loadOrders = async () => {
-      const fallback = ordersSeed.map((order) => normalizeOrder(order, { userId: user.id, userEmail: user.email }));
+function writeStoredCart(userId, cart) {
+  try {
+    window.localStorage.setItem(`${CART_STORAGE_PREFIX}${userId}`, JSON.stringify(serializeCart(cart)));
+  } catch (error) {
+    console.error("Failed to store cart:", error.message);
+  }
+}
 
-      if (!hasSupabaseConfig || !supabase) {
-        if (active) {
-          setOrders(fallback);
-          setOrdersLoading(false);
-        }
-        return;
-      }
+function cartEntriesToItems(entries) {
+  return entries.flatMap((entry) => Array.from({ length: entry.qty }, () => entry.productId));
+}
 
-      setOrdersLoading(true);
-      let query = supabase
-        .from("orders")
-        .select("id, user_id, status, order_date, total, items_count, created_at, profiles:user_id(email)")
-        .order("created_at", { ascending: false });
+function serializeCart(cart) {
+  return {
+    items: cart.entries.map((entry) => ({
+      product_id: entry.productId,
+      name: entry.name,
+      quantity: entry.qty,
+      updated_at: new Date(entry.updatedAt).toISOString()
+    })),
+    removed: Object.fromEntries(
+      Object.entries(cart.removed).map(([productId, removedAt]) => [productId, new Date(removedAt).toISOString()])
+    )
+  };
+}
 
-      if (!isAdmin) {
-        query = query.eq("user_id", user.id);
-      }
+// Applies the quantities in nextQtyById to a stored cart, stamping products whose quantity changed and recording
+// the ones that left so another device's copy of them is not merged back in.
+function updateCart(cart, nextQtyById, nameById, now = Date.now()) {
+  const previousById = Object.fromEntries(cart.entries.map((entry) => [entry.productId, entry]));
+  const removed = { ...cart.removed };
+  cart.entries.forEach((entry) => {
+    if (!nextQtyById[entry.productId]) removed[entry.productId] = now;
+  });
+  const entries = Object.entries(nextQtyById).map(([productId, qty]) => {
+    const previous = previousById[productId];
+    delete removed[productId];
+    return {
+      productId,
+      name: nameById[productId] || previous?.name || "",
+      qty,
+      updatedAt: previous && previous.qty === qty ? previous.updatedAt : now
+    };
+  });
+  return { entries, removed };
+}
 
-      const { data, error } = await query;
-      if (!active) return;
+// Merges two copies of a cart product by product. A product is kept at the larger of its two quantities unless it
+// was removed after both copies last changed it, so items added on either device survive and removed ones stay gone.
+function mergeCarts(left, right) {
+  const leftById = Object.fromEntries(left.entries.map((entry) => [entry.productId, entry]));
+  const rightById = Object.fromEntries(right.entries.map((entry) => [entry.productId, entry]));
+  const productIds = new Set([
+    ...Object.keys(leftById),
+    ...Object.keys(rightById),
+    ...Object.keys(left.removed),
+    ...Object.keys(right.removed)
+  ]);
+  const entries = [];
+  const removed = {};
+
+  productIds.forEach((productId) => {
+    const removedAt = Math.max(left.removed[productId] || 0, right.removed[productId] || 0);
+    const kept = [leftById[productId], rightById[productId]].filter((entry) => entry && (!removedAt || entry.updatedAt > removedAt));
+    if (kept.length === 0) {
+      removed[productId] = removedAt;
+      return;
+    }
+    entries.push({
+      productId,
+      name: kept.find((entry) => entry.name)?.name || "",
+      qty: Math.max(...kept.map((entry) => entry.qty)),
+      updatedAt: Math.max(...kept.map((entry) => entry.updatedAt))
+    });
+  });
 
-      if (error) {
-        setOrderMessage(`Supabase order fetch failed: ${error.message}`);
-        setOrders(fallback);
-        setOrdersLoading(false);
-        return;
-      }
+  return { entries, removed };
+}
 
-      setOrders((data || []).map((order) => normalizeOrder(order, { userEmail: user.email })));
-      setOrdersLoading(false);
-    };
+function normalizeReview(review) {
+  return {
+    id: String(review.id),
+    productId: String(review.product_id ?? review.productId),
+    userId: review.user_id || review.userId || null,
+    rating: Math.min(5, Math.max(1, Math.trunc(Number(review.rating) || 1))),
+    comment: String(review.comment || "").trim(),
+    status: review.status === "hidden" ? "hidden" : "published",
+    date: String(review.created_at || review.date || new Date().toISOString()).slice(0, 10)
+  };
+}
 
-    loadOrders();
+function summarizeReviews(reviews) {
+  const published = reviews.filter((review) => review.status === "published");
+  const total = published.reduce((sum, review) => sum + review.rating, 0);
+  return {
+    rating: published.length > 0 ? Math.round((total / published.length) * 10) / 10 : 0,
+    reviewCount: published.length
+  };
+}
 
-    return () => {
-      active = false;
-    };
-  }, [isAdmin, user.email, user.id]);
+function normalizeCategory(category) {
+  const taxRate = category.tax_rate ?? category.taxRate;
+  return {
+    id: String(category.id),
+    name: String(category.name || "").trim(),
+    taxRate: taxRate === null || taxRate === undefined ? null : Number(taxRate)
+  };
+}
 
-  const filteredProducts = useMemo(() => {
-    const query = search.trim().toLowerCase();
-    return products.filter((product) => {
-      const categoryMatch = selectedCategory === "All" || product.category === selectedCategory;
-      const queryMatch =
-        query.length === 0 ||
-        product.name.toLowerCase().includes(query) ||
-        product.category.toLowerCase().includes(query);
-      return categoryMatch && queryMatch;
-    });
-  }, [products, search, selectedCategory]);
+function normalizeStoreSettings(settings) {
+  const threshold = settings.free_shipping_threshold ?? settings.freeShippingThreshold;
+  return {
+    defaultTaxRate: Number(settings.default_tax_rate ?? settings.defaultTaxRate) || 0,
+    shippingFee: Number(settings.shipping_fee ?? settings.shippingFee) || 0,
+    freeShippingThreshold: threshold === null || threshold === undefined ? null : Number(threshold),
+    defaultCurrency: settings.default_currency ?? settings.defaultCurrency ?? BASE_CURRENCY,
+    defaultLocale: settings.default_locale ?? settings.defaultLocale ?? DEFAULT_LOCALE
+  };
+}
 
-  const cartSummary = useMemo(() => {
-    const grouped = cartItems.reduce((acc, id) => {
-      acc[id] = (acc[id] || 0) + 1;
-      return acc;
-    }, {});
+// Mirrors public.price_order(): each line is taxed after its share of the discount, at its category rate or the
+// store default, and shipping is free once the discounted subtotal reaches the threshold.
+function priceOrderLines(rows, { discount = 0, discountCategoryIds = [], taxRateByCategoryId, settings }) {
+  const isEligible = (row) => discountCategoryIds.length === 0 || discountCategoryIds.includes(row.categoryId);
+  const subtotal = rows.reduce((sum, row) => sum + row.total, 0);
+  const eligibleTotal = rows.filter(isEligible).reduce((sum, row) => sum + row.total, 0);
+  const tax = rows.reduce((sum, row) => {
+    const lineDiscount = isEligible(row) && eligibleTotal > 0 ? (discount * row.total) / eligibleTotal : 0;
+    const taxRate = taxRateByCategoryId[row.categoryId] ?? settings.defaultTaxRate;
+    return sum + ((row.total - lineDiscount) * taxRate) / 100;
+  }, 0);
+  const qualifiesForFreeShipping =
+    settings.freeShippingThreshold !== null && subtotal - discount >= settings.freeShippingThreshold;
+  const shippingFee = subtotal === 0 || qualifiesForFreeShipping ? 0 : settings.shippingFee;
+  const roundedTax = Math.round(tax * 100) / 100;
+
+  return { subtotal, discount, tax: roundedTax, shippingFee, total: subtotal - discount + roundedTax + shippingFee };
+}
 
-    const rows = Object.entries(grouped)
-      .map(([id, qty]) => {
-        const product = products.find((item) => item.id === id);
-        if (!product) return null;
-        return {
-          id,
-          name: product.name,
-          price: product.price,
-          qty,
-          total: product.price * qty
-        };
-      })
-      .filter(Boolean);
+function normalizeAddress(address) {
+  return {
+    id: address.id ? String(address.id) : null,
+    ...Object.fromEntries(
+      ADDRESS_FIELDS.map((field) => [field.key, String(address[field.column] ?? address[field.key] ?? "").trim()])
+    ),
+    isDefault: Boolean(address.is_default ?? address.isDefault)
+  };
+}
 
-    const subtotal = rows.reduce((sum, row) => sum + row.total, 0);
-    return { rows, subtotal };
-  }, [cartItems, products]);
+function formatAddress(address) {
+  return [
+    address.fullName,
+    address.line1,
+    address.line2,
+    `${address.city}, ${address.state} ${address.postalCode}`.trim(),
+    address.country,
+    address.phone
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
 
-  const cartQtyById = useMemo(() => {
-    return cartItems.reduce((acc, id) => {
-      acc[id] = (acc[id] || 0) + 1;
-      return acc;
-    }, {});
-  }, [cartItems]);
+function normalizeOrderItem(item) {
+  const price = Number(item.unit_price ?? item.price) || 0;
+  const qty = Number(item.quantity ?? item.qty) || 0;
+  return {
+    id: String(item.id ?? item.product_id ?? item.productId),
+    productId: String(item.product_id ?? item.productId ?? ""),
+    name: String(item.product_name ?? item.name ?? "").trim(),
+    price,
+    qty,
+    total: price * qty
+  };
+}
 
-  const myOrders = useMemo(() => {
-    return orders.filter((order) => !order.userId || order.userId === user.id);
-  }, [orders, user.id]);
+function normalizeStatusChange(change) {
+  return {
+    id: String(change.id),
+    fromStatus: change.from_status ?? change.fromStatus ?? null,
+    toStatus: change.to_status ?? change.toStatus,
+    changedAt: change.changed_at || change.changedAt,
+    changedByEmail: change.profiles?.email || change.changedByEmail || null
+  };
+}
 
-  const adminOrders = useMemo(() => {
-    if (!isAdmin) return [];
+function normalizeBanner(banner) {
+  const ctaType = BANNER_CTA_TYPES.some((type) => type.value === (banner.cta_type ?? banner.ctaType))
+    ? banner.cta_type ?? banner.ctaType
+    : "none";
+  return {
+    id: String(banner.id),
+    title: String(banner.title || "").trim(),
+    subtitle: String(banner.subtitle || "").trim(),
+    ctaLabel: String(banner.cta_label ?? banner.cta ?? "").trim(),
+    ctaType,
+    ctaTarget: ctaType === "none" ? "" : String(banner.cta_target ?? banner.ctaTarget ?? "").trim(),
+    image: banner.image || null,
+    sortOrder: Math.trunc(Number(banner.sort_order ?? banner.sortOrder) || 0),
+    startsAt: banner.starts_at ?? banner.startsAt ?? null,
+    endsAt: banner.ends_at ?? banner.endsAt ?? null
+  };
+}
 
-    const query = adminOrderSearch.trim().toLowerCase();
-    const filtered = orders.filter((order) => {
+function normalizeCouponCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+function normalizeCoupon(coupon) {
+  const toLimit = (value) => (value === null || value === undefined || value === "" ? null : Number(value));
+  return {
+    id: String(coupon.id),
+    code: normalizeCouponCode(coupon.code),
+    discountType: (coupon.discount_type ?? coupon.discountType) === "fixed" ? "fixed" : "percent",
+    discountValue: Number(coupon.discount_value ?? coupon.discountValue) || 0,
+    minOrder: Number(coupon.min_order ?? coupon.minOrder) || 0,
+    expiresAt: coupon.expires_at ?? coupon.expiresAt ?? null,
+    maxUses: toLimit(coupon.max_uses ?? coupon.maxUses),
+    maxUsesPerUser: toLimit(coupon.max_uses_per_user ?? coupon.maxUsesPerUser),
+    categoryIds: (coupon.category_ids ?? coupon.categoryIds ?? []).map(String),
+    isActive: coupon.is_active ?? coupon.isActive ?? true
+  };
+}
+
+function describeCouponDiscount(coupon, money) {
+  return coupon.discountType === "percent"
+    ? t("coupon.percentOff", { percent: coupon.discountValue })
+    : t("coupon.amountOff", { amount: formatCurrency(coupon.discountValue, money) });
+}
+
+// Local stand-in for the quote_coupon RPC, with the same checks and messages, used when Supabase is not configured.
+function quoteLocalCoupon(code, rows, coupons, orders, userId, money) {
+  const normalizedCode = normalizeCouponCode(code);
+  const coupon = coupons.find((item) => item.code === normalizedCode);
+  if (!coupon || !coupon.isActive) return { error: t("coupon.error.invalid", { code: normalizedCode }) };
+  if (coupon.expiresAt && new Date(coupon.expiresAt).getTime() <= Date.now()) {
+    return { error: t("coupon.error.expired", { code: coupon.code }) };
+  }
+
+  const subtotal = rows.reduce((sum, row) => sum + row.total, 0);
+  const eligibleSubtotal = rows
+    .filter((row) => coupon.categoryIds.length === 0 || coupon.categoryIds.includes(row.categoryId))
+    .reduce((sum, row) => sum + row.total, 0);
+  if (subtotal < coupon.minOrder) {
+    return { error: t("coupon.error.minOrder", { code: coupon.code, amount: formatCurrency(coupon.minOrder, money) }) };
+  }
+  if (eligibleSubtotal === 0) return { error: t("coupon.error.notApplicable", { code: coupon.code }) };
+
+  const uses = orders.filter((order) => order.couponCode === coupon.code && order.status !== "Cancelled");
+  if (coupon.maxUses !== null && uses.length >= coupon.maxUses) {
+    return { error: t("coupon.error.fullyRedeemed", { code: coupon.code }) };
+  }
+  if (coupon.maxUsesPerUser !== null && uses.filter((order) => order.userId === userId).length >= coupon.maxUsesPerUser) {
+    return { error: t("coupon.error.perUserLimit", { code: coupon.code }) };
+  }
+
+  const discount =
+    coupon.discountType === "percent"
+      ? Math.round(eligibleSubtotal * coupon.discountValue) / 100
+      : coupon.discountValue;
+  return {
+    quote: { code: coupon.code, discount: Math.min(eligibleSubtotal, discount), categoryIds: coupon.categoryIds }
+  };
+}
+
+function isBannerActive(banner, now = Date.now()) {
+  const startsOk = !banner.startsAt || new Date(banner.startsAt).getTime() <= now;
+  const endsOk = !banner.endsAt || new Date(banner.endsAt).getTime() > now;
+  return startsOk && endsOk;
+}
+
+function sortBanners(banners) {
+  return [...banners].sort((a, b) => a.sortOrder - b.sortOrder || a.title.localeCompare(b.title));
+}
+
+// datetime-local inputs work in local time without a zone, so convert to and from ISO timestamps here.
+function toDateTimeInputValue(isoString) {
+  if (!isoString) return "";
+  const date = new Date(isoString);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function fromDateTimeInputValue(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function normalizeUserProfile(profile) {
+  return {
+    id: String(profile.id),
+    email: profile.email || "",
+    role: normalizeRole(profile.role),
+    createdAt: profile.created_at,
+    orderCount: Number(profile.orders?.[0]?.count) || 0
+  };
+}
+
+function normalizeRoleChange(change) {
+  return {
+    id: String(change.id),
+    userEmail: change.user?.email || t("admin.users.deletedUser"),
+    fromRole: change.from_role,
+    toRole: change.to_role,
+    changedAt: change.changed_at,
+    changedByEmail: change.actor?.email || null
+  };
+}
+
+function normalizeReturnRequest(request) {
+  return {
+    id: String(request.id),
+    reason: String(request.reason || "").trim(),
+    status: ["Approved", "Rejected"].includes(request.status) ? request.status : "Pending",
+    adminNote: String(request.admin_note ?? request.adminNote ?? "").trim(),
+    createdAt: request.created_at || request.createdAt,
+    resolvedAt: request.resolved_at || request.resolvedAt || null
+  };
+}
+
+function normalizeOrder(order, fallback = {}) {
+  // PostgREST returns a one-to-one embed as an object, but older schemas without the unique key give an array.
+  const returnRequest = [order.return_requests ?? order.returnRequest].flat()[0];
+  const total = Number(order.total) || 0;
+
+  return {
+    id: String(order.id),
+    status: ORDER_STATUSES.includes(order.status) ? order.status : "Placed",
+    date: order.order_date || order.date || new Date().toISOString().slice(0, 10),
+    subtotal: Number(order.subtotal ?? total) || 0,
+    discount: Number(order.discount) || 0,
+    couponCode: order.coupon_code ?? order.couponCode ?? null,
+    tax: Number(order.tax) || 0,
+    shippingFee: Number(order.shipping_fee ?? order.shippingFee) || 0,
+    // Orders from before GST and shipping were recorded have neither; their total already covers what was paid.
+    chargesRecorded: Boolean(order.charges_recorded ?? order.chargesRecorded),
+    // Only orders whose items were taken out of stock put them back when cancelled.
+    stockReserved: Boolean(order.stock_reserved ?? order.stockReserved),
+    total,
+    currency: order.currency || BASE_CURRENCY,
+    exchangeRate: Number(order.exchange_rate ?? order.exchangeRate) || 1,
+    items: Number(order.items_count ?? order.items) || 0,
+    userId: order.user_id || fallback.userId || null,
+    userEmail: order.profiles?.email || fallback.userEmail || t("common.unknown"),
+    lineItems: (order.order_items || order.lineItems || []).map(normalizeOrderItem),
+    shippingAddress:
+      order.shipping_address || order.shippingAddress
+        ? normalizeAddress(order.shipping_address || order.shippingAddress)
+        : null,
+    statusHistory: (order.order_status_history || order.statusHistory || [])
+      .map(normalizeStatusChange)
+      .sort((a, b) => new Date(a.changedAt).getTime() - new Date(b.changedAt).getTime()),
+    returnRequest: returnRequest ? normalizeReturnRequest(returnRequest) : null,
+    payments: (order.payments || [])
+      .map(normalizePayment)
+      .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime())
+  };
+}
+
+function latestPayment(order) {
+  return order.payments[order.payments.length - 1] || null;
+}
+
+function describeOrderPayment(order) {
+  const payment = latestPayment(order);
+  return payment
+    ? t("payment.summary", {
+        status: t(PAYMENT_STATUS_LABEL_KEYS[payment.status]),
+        provider: payment.provider,
+        reference: payment.providerRef
+      })
+    : t("payment.noneRecorded");
+}
+
+function isOrderPaid(order) {
+  return order.payments.some((payment) => payment.status === "succeeded");
+}
+
+// The orders trigger also refuses Placed -> Processing until a payment succeeds; hide that move until then.
+function nextOrderStatuses(order) {
+  return ORDER_STATUS_TRANSITIONS[order.status].filter(
+    (status) => !(order.status === "Placed" && status === "Processing" && !isOrderPaid(order))
+  );
+}
+
+// Turns free text into a prefix tsquery ("wire hea" -> "wire:* & hea:*") so results narrow while typing.
+function toPrefixTsQuery(text) {
+  return text
+    .trim()
+    .split(/\s+/)
+    .map((term) => term.replace(/[^\p{L}\p{N}]/gu, ""))
+    .filter(Boolean)
+    .map((term) => `${term}:*`)
+    .join(" & ");
+}
+
+// Ties on the sort column fall back to the newest id so pages do not overlap.
+function queryProducts({ search = "", categoryId = "all", sort = "newest" }, from, to) {
+  let query = supabase.from("products").select(PRODUCT_SELECT, { count: "exact" });
+  const tsQuery = toPrefixTsQuery(search);
+  if (categoryId !== "all") {
+    query = query.eq("category_id", categoryId);
+  }
+  if (tsQuery) {
+    query = query.textSearch("search_vector", tsQuery, { config: "english" });
+  }
+  const { column, ascending } = PRODUCT_SORTS[sort] || PRODUCT_SORTS.newest;
+  if (column !== "id") {
+    query = query.order(column, { ascending });
+  }
+  return query.order("id", { ascending: column === "id" ? ascending : false }).range(from, to);
+}
+
+// search_orders matches the order ID or customer email; status, day and sort are plain PostgREST filters on top.
+function queryAdminOrders({ search = "", status = "All", date = "", sort = "newest" }, from, to) {
+  let query = supabase.rpc("search_orders", { search: search.trim() || null }, { count: "exact" }).select(ORDER_SELECT);
+  if (status !== "All") {
+    query = query.eq("status", status);
+  }
+  if (date) {
+    query = query.eq("order_date", date);
+  }
+  const ascending = sort === "oldest";
+  return query.order("order_date", { ascending }).order("created_at", { ascending }).range(from, to);
+}
+
+function useDebouncedValue(value, delayMs) {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setDebouncedValue(value), delayMs);
+    return () => clearTimeout(timeoutId);
+  }, [delayMs, value]);
+
+  return debouncedValue;
+}
+
+// Server-side list loaded pageSize rows at a time. fetchPage(from, to) resolves to { rows, count }, or null
+// when the request failed. A new queryKey starts over from the first page; a new refreshKey re-reads the
+// rows already on screen without dropping back to page one.
+function usePagedList({ enabled, queryKey, refreshKey, pageSize, fetchPage }) {
+  const [list, setList] = useState({ rows: [], total: 0, loading: enabled });
+  const fetchPageRef = useRef(fetchPage);
+  const loadedKeyRef = useRef(null);
+  const loadedCountRef = useRef(0);
+  fetchPageRef.current = fetchPage;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let active = true;
+    const sameQuery = loadedKeyRef.current === queryKey;
+    const count = sameQuery ? Math.max(pageSize, loadedCountRef.current) : pageSize;
+    loadedKeyRef.current = queryKey;
+    setList((prev) => (sameQuery ? { ...prev, loading: true } : { rows: [], total: 0, loading: true }));
+
+    fetchPageRef.current(0, count - 1).then((page) => {
+      if (!active) return;
+      if (!page) {
+        setList((prev) => ({ ...prev, loading: false }));
+        return;
+      }
+      loadedCountRef.current = page.rows.length;
+      setList({ rows: page.rows, total: page.count ?? page.rows.length, loading: false });
+    });
+
+    return () => {
+      active = false;
+    };
+  }, [enabled, pageSize, queryKey, refreshKey]);
+
+  const loadMore = async () => {
+    if (list.loading) return;
+    const key = loadedKeyRef.current;
+    const from = list.rows.length;
+    setList((prev) => ({ ...prev, loading: true }));
+
+    const page = await fetchPageRef.current(from, from + pageSize - 1);
+    if (loadedKeyRef.current !== key) return;
+    if (!page) {
+      setList((prev) => ({ ...prev, loading: false }));
+      return;
+    }
+    loadedCountRef.current = from + page.rows.length;
+    setList((prev) => {
+      const knownIds = new Set(prev.rows.map((row) => row.id));
+      return {
+        rows: [...prev.rows, ...page.rows.filter((row) => !knownIds.has(row.id))],
+        total: page.count ?? prev.total,
+        loading: false
+      };
+    });
+  };
+
+  return { ...list, hasMore: list.rows.length < list.total, loadMore };
+}
+
+function queryUsers(search, from, to) {
+  let query = supabase.from("profiles").select(USER_SELECT, { count: "exact" });
+  const term = search.trim();
+  if (term) {
+    query = query.ilike("email", `%${term.replace(/[\\%_]/g, "\\$&")}%`);
+  }
+  return query.order("created_at", { ascending: false }).range(from, to);
+}
+
+// Reads every page of a ranged query so exports cover all matching rows, not just the ones on screen.
+async function fetchAllRows(queryPage) {
+  const rows = [];
+  for (let from = 0; ; from += CSV_EXPORT_BATCH_SIZE) {
+    const { data, error } = await queryPage(from, from + CSV_EXPORT_BATCH_SIZE - 1);
+    if (error) return { rows, error };
+    rows.push(...(data || []));
+    if (!data || data.length < CSV_EXPORT_BATCH_SIZE) return { rows, error: null };
+  }
+}
+
+// Re-reads an order after a write. Rows added by triggers or inside an RPC are not visible to
+// the embeds of the same request, so line items and status history need this second round trip.
+async function fetchOrder(orderId) {
+  return supabase.from("orders").select(ORDER_SELECT).eq("id", orderId).single();
+}
+
+function mergeById(list, items) {
+  const incomingById = new Map(items.map((item) => [item.id, item]));
+  const merged = list.map((entry) => incomingById.get(entry.id) || entry);
+  const knownIds = new Set(list.map((entry) => entry.id));
+  return [...merged, ...items.filter((item) => !knownIds.has(item.id))];
+}
+
+function upsertById(list, item) {
+  return list.some((entry) => entry.id === item.id)
+    ? list.map((entry) => (entry.id === item.id ? item : entry))
+    : [item, ...list];
+}
+
+// Merges a Supabase Realtime postgres_changes payload into a list of normalized rows.
+function applyRealtimeChange(list, payload, normalize) {
+  if (payload.eventType === "DELETE") {
+    const removedId = String(payload.old?.id);
+    return list.filter((entry) => entry.id !== removedId);
+  }
+  return upsertById(list, normalize(payload.new));
+}
+
+function OrderTimeline({ order, showActor = false }) {
+  const history =
+    order.statusHistory.length > 0
+      ? order.statusHistory
+      : [{ id: "current", fromStatus: null, toStatus: order.status, changedAt: order.date, changedByEmail: null }];
+
+  return (
+    <ol className="order-timeline">
+      {history.map((change) => (
+        <li key={change.id}>
+          <strong>{t(ORDER_STATUS_LABEL_KEYS[change.toStatus])}</strong>
+          <span className="muted">
+            {new Date(change.changedAt).toLocaleString()}
+            {showActor && change.changedByEmail ? ` • ${change.changedByEmail}` : ""}
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function OrderBreakdown({ breakdown, money }) {
+  return (
+    <dl className="order-breakdown">
+      <div>
+        <dt>{t("order.subtotal")}</dt>
+        <dd>{formatCurrency(breakdown.subtotal, money)}</dd>
+      </div>
+      {breakdown.discount > 0 && (
+        <div>
+          <dt>
+            {breakdown.couponCode ? t("order.discountWithCode", { code: breakdown.couponCode }) : t("order.discount")}
+          </dt>
+          <dd>−{formatCurrency(breakdown.discount, money)}</dd>
+        </div>
+      )}
+      {breakdown.chargesRecorded !== false && (
+        <>
+          <div>
+            <dt>{t("order.tax")}</dt>
+            <dd>{formatCurrency(breakdown.tax, money)}</dd>
+          </div>
+          <div>
+            <dt>{t("order.shipping")}</dt>
+            <dd>{breakdown.shippingFee > 0 ? formatCurrency(breakdown.shippingFee, money) : t("order.shippingFree")}</dd>
+          </div>
+        </>
+      )}
+      <div className="order-breakdown-total">
+        <dt>{t("order.total")}</dt>
+        <dd>{formatCurrency(breakdown.total, money)}</dd>
+      </div>
+    </dl>
+  );
+}
+
+function PaymentPanel({ order, money, canPay, busy, onStartPayment, onCompletePayment }) {
+  const payment = latestPayment(order);
+  const awaitingPayment = order.status === "Placed" && !isOrderPaid(order);
+  if (!payment && !awaitingPayment) return null;
+
+  const provider = payment ? PAYMENT_PROVIDERS[payment.provider] : null;
+  const canComplete = canPay && awaitingPayment && payment?.status === "pending" && provider?.confirmsInBrowser;
+
+  return (
+    <div className="payment-panel">
+      <p>
+        <strong>{t(PAYMENT_STATUS_LABEL_KEYS[payment ? payment.status : "pending"])}</strong>
+        {payment && (
+          <span className="muted">
+            {" "}
+            •{" "}
+            {t("payment.amountVia", {
+              amount: formatCurrency(payment.amount, paymentMoney(payment, money.locale)),
+              provider: provider ? t(provider.labelKey) : payment.provider
+            })}
+          </span>
+        )}
+      </p>
+      {payment?.status === "failed" && payment.failureReason && <p className="muted">{payment.failureReason}</p>}
+      {canComplete && (
+        <>
+          <p className="muted">{t(provider.descriptionKey)}</p>
+          <div className="form-actions">
+            <button className="btn" type="button" disabled={busy} onClick={() => onCompletePayment(order, payment, "succeeded")}>
+              {t("payment.pay", { amount: formatCurrency(payment.amount, paymentMoney(payment, money.locale)) })}
+            </button>
+            <button
+              className="btn btn-ghost"
+              type="button"
+              disabled={busy}
+              onClick={() => onCompletePayment(order, payment, "failed")}
+            >
+              {t("payment.decline")}
+            </button>
+          </div>
+        </>
+      )}
+      {canPay && awaitingPayment && !canComplete && (
+        <button className="btn" type="button" disabled={busy} onClick={() => onStartPayment(order)}>
+          {payment?.status === "failed" ? t("payment.tryAgain") : t("payment.payNow")}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function OrderLineItems({ items, money }) {
+  if (items.length === 0) return null;
+
+  return (
+    <ul className="order-line-items">
+      {items.map((item) => (
+        <li key={item.id}>
+          <span>
+            {item.qty} × {item.name}
+          </span>
+          <span>{formatCurrency(item.total, money)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// yyyy-mm-dd in the browser's time zone, which is what <input type="date"> expects.
+function toDateInputValue(date) {
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+function formatReportPeriod(period, bucket, locale) {
+  const date = new Date(`${period}T00:00:00`);
+  if (bucket === "month") {
+    return date.toLocaleDateString(locale, { month: "short", year: "numeric" });
+  }
+  const day = date.toLocaleDateString(locale, { day: "numeric", month: "short" });
+  return bucket === "week" ? t("admin.analytics.weekOf", { day }) : day;
+}
+
+function normalizeSalesReport(report) {
+  const countByStatus = Object.fromEntries((report.statuses || []).map((row) => [row.status, Number(row.orders) || 0]));
+  return {
+    orders: Number(report.summary?.orders) || 0,
+    revenue: Number(report.summary?.revenue) || 0,
+    averageOrderValue: Number(report.summary?.average_order_value) || 0,
+    series: (report.series || []).map((row) => ({
+      period: String(row.period),
+      orders: Number(row.orders) || 0,
+      revenue: Number(row.revenue) || 0
+    })),
+    statuses: ORDER_STATUSES.map((status) => ({ status, orders: countByStatus[status] || 0 })),
+    topProducts: (report.top_products || []).map((row) => ({
+      id: String(row.product_id),
+      name: row.product_name || t("admin.analytics.unknownProduct"),
+      units: Number(row.units) || 0,
+      revenue: Number(row.revenue) || 0
+    })),
+    topCategories: (report.top_categories || []).map((row) => ({
+      id: String(row.category_id ?? "uncategorized"),
+      name: row.category_name || t("admin.analytics.uncategorized"),
+      units: Number(row.units) || 0,
+      revenue: Number(row.revenue) || 0
+    }))
+  };
+}
+
+function AnalyticsBars({ rows, formatValue }) {
+  const maxValue = Math.max(0, ...rows.map((row) => row.value));
+
+  return (
+    <ul className="analytics-bars">
+      {rows.map((row) => (
+        <li key={row.key}>
+          <span className="analytics-bar-label">{row.label}</span>
+          <span className="analytics-bar-track">
+            <span className="analytics-bar-fill" style={{ width: `${maxValue > 0 ? (row.value / maxValue) * 100 : 0}%` }} />
+          </span>
+          <span className="analytics-bar-value">
+            {formatValue(row.value)}
+            {row.detail && <small>{row.detail}</small>}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function BannerCarousel({ banners, renderCta }) {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [paused, setPaused] = useState(false);
+  const bannerCount = banners.length;
+
+  useEffect(() => {
+    if (activeIndex >= bannerCount) setActiveIndex(0);
+  }, [activeIndex, bannerCount]);
+
+  useEffect(() => {
+    const reduceMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+    if (bannerCount < 2 || paused || reduceMotion) return undefined;
+    const intervalId = window.setInterval(() => {
+      setActiveIndex((index) => (index + 1) % bannerCount);
+    }, BANNER_ROTATE_MS);
+    return () => window.clearInterval(intervalId);
+  }, [bannerCount, paused]);
+
+  if (bannerCount === 0) return null;
+  const banner = banners[Math.min(activeIndex, bannerCount - 1)];
+
+  return (
+    <section
+      className="banner-carousel"
+      aria-roledescription="carousel"
+      aria-label={t("banner.carouselLabel")}
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)}
+      onBlur={() => setPaused(false)}
+    >
+      <article
+        key={banner.id}
+        className={banner.image ? "banner-slide banner-slide-image" : "banner-slide"}
+        style={banner.image ? { backgroundImage: `url("${banner.image}")` } : undefined}
+        aria-roledescription="slide"
+        aria-label={t("banner.slidePosition", { position: Math.min(activeIndex, bannerCount - 1) + 1, count: bannerCount })}
+      >
+        <div className="banner-copy">
+          <h2>{banner.title}</h2>
+          {banner.subtitle && <p>{banner.subtitle}</p>}
+          {renderCta(banner)}
+        </div>
+      </article>
+      {bannerCount > 1 && (
+        <div className="banner-dots">
+          {banners.map((item, index) => (
+            <button
+              key={item.id}
+              className={index === activeIndex ? "banner-dot active" : "banner-dot"}
+              type="button"
+              aria-label={t("banner.show", { title: item.title })}
+              aria-current={index === activeIndex}
+              onClick={() => setActiveIndex(index)}
+            />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+function RatingSummary({ rating, reviewCount }) {
+  if (reviewCount === 0) {
+    return <p className="product-rating product-rating-empty">{t("product.noReviews")}</p>;
+  }
+
+  return (
+    <p className="product-rating" aria-label={t("product.ratingLabel", { rating: rating.toFixed(1), count: reviewCount })}>
+      ★ {rating.toFixed(1)} <span>({reviewCount})</span>
+    </p>
+  );
+}
+
+function ProductCard({ product, money, quantity, onIncrease, onDecrease }) {
+  const outOfStock = product.stock <= 0;
+  const atStockLimit = quantity >= product.stock;
+
+  return (
+    <article className="product-card">
+      <div className="product-media" style={{ background: product.color || "#2563eb" }}>
+        {product.image ? (
+          <img src={product.image} alt={product.name} loading="lazy" />
+        ) : (
+          <span>{product.category}</span>
+        )}
+        {quantity > 0 ? (
+          <div className="image-qty-control" role="group" aria-label={t("product.quantityFor", { name: product.name })}>
+            <button type="button" onClick={() => onDecrease(product.id)}>
+              -
+            </button>
+            <span>{quantity}</span>
+            <button type="button" onClick={() => onIncrease(product.id)} disabled={atStockLimit}>
+              +
+            </button>
+          </div>
+        ) : outOfStock ? (
+          <span className="image-out-of-stock">{t("product.outOfStock")}</span>
+        ) : (
+          <button className="image-add-btn" type="button" onClick={() => onIncrease(product.id)}>
+            {t("product.add")}
+          </button>
+        )}
+      </div>
+      <div className="product-body">
+        <p className="product-chip">{product.category}</p>
+        <h3>
+          <Link className="product-link" to={productPath(product.id)}>
+            {product.name}
+          </Link>
+        </h3>
+        <p className="product-meta">{product.description}</p>
+        <RatingSummary rating={product.rating} reviewCount={product.reviewCount} />
+        <strong>{formatCurrency(product.price, money)}</strong>
+        {!outOfStock && product.stock <= LOW_STOCK_THRESHOLD && <p className="stock-note">{t("product.onlyLeft", { count: product.stock })}</p>}
+      </div>
+    </article>
+  );
+}
+
+function ProductDetail({ product, images, money, quantity, onIncrease, onDecrease }) {
+  // The same URL can appear more than once (a gallery copy of the main image), so entries are keyed by id.
+  const gallery = [{ id: "main", url: product.image }, ...images].filter((image) => image.url);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const shownIndex = Math.min(activeIndex, gallery.length - 1);
+  const activeImage = gallery[shownIndex]?.url;
+  const outOfStock = product.stock <= 0;
+
+  return (
+    <article className="product-detail">
+      <div className="product-detail-media" style={{ background: product.color || "#2563eb" }}>
+        {activeImage ? <img src={activeImage} alt={product.name} /> : <span>{product.category}</span>}
+      </div>
+      {gallery.length > 1 && (
+        <div className="product-thumbs" role="group" aria-label={t("product.imagesLabel", { name: product.name })}>
+          {gallery.map((image, index) => (
+            <button
+              key={image.id}
+              className={index === shownIndex ? "product-thumb active" : "product-thumb"}
+              type="button"
+              onClick={() => setActiveIndex(index)}
+              aria-label={t("product.showImage", { position: index + 1 })}
+            >
+              <img src={image.url} alt="" loading="lazy" />
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="product-body">
+        <div className="product-detail-tags">
+          <p className="product-chip">{product.category}</p>
+          {product.badge && <p className="product-badge">{product.badge}</p>}
+          <RatingSummary rating={product.rating} reviewCount={product.reviewCount} />
+        </div>
+        <h2>{product.name}</h2>
+        <p className="product-meta">{product.description}</p>
+        <strong>{formatCurrency(product.price, money)}</strong>
+        {!outOfStock && product.stock <= LOW_STOCK_THRESHOLD && <p className="stock-note">{t("product.onlyLeft", { count: product.stock })}</p>}
+      </div>
+
+      <div className="checkout-box">
+        {quantity > 0 ? (
+          <div className="qty-row">
+            <button className="btn btn-ghost qty-btn" onClick={() => onDecrease(product.id)} type="button">
+              -
+            </button>
+            <span>{t("product.inCart", { count: quantity })}</span>
+            <button
+              className="btn btn-ghost qty-btn"
+              onClick={() => onIncrease(product.id)}
+              type="button"
+              disabled={quantity >= product.stock}
+            >
+              +
+            </button>
+          </div>
+        ) : (
+          <p className="muted">{outOfStock ? t("product.outOfStock") : t("product.notInCart")}</p>
+        )}
+        {quantity === 0 && (
+          <button className="btn" type="button" onClick={() => onIncrease(product.id)} disabled={outOfStock}>
+            {t("product.addToCart")}
+          </button>
+        )}
+      </div>
+    </article>
+  );
+}
+
+function Storefront({ user, userRole, roleReady, onLogout }) {
+  const { route } = useRoute();
+  const language = useLanguage();
+  const activeTab = route?.tab || "products";
+  const [categories, setCategories] = useState(() =>
+    hasSupabaseConfig && supabase ? [] : categoriesSeed.map(normalizeCategory)
+  );
+  const [products, setProducts] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [selectedCategoryId, setSelectedCategoryId] = useState("all");
+  const [productSort, setProductSort] = useState("newest");
+  const [search, setSearch] = useState("");
+  const [{ entries: storedCart }] = useState(() => readStoredCart(user.id));
+  const [cartItems, setCartItems] = useState(() => cartEntriesToItems(storedCart));
+  const [cartSynced, setCartSynced] = useState(() => !hasSupabaseConfig || !supabase);
+  const [cartMessage, setCartMessage] = useState("");
+
+  const [newCategoryName, setNewCategoryName] = useState("");
+  const [renamingCategoryId, setRenamingCategoryId] = useState(null);
+  const [categoryRenameDraft, setCategoryRenameDraft] = useState("");
+  const [newProductName, setNewProductName] = useState("");
+  const [newProductCategoryId, setNewProductCategoryId] = useState("");
+  const [newProductPrice, setNewProductPrice] = useState("");
+  const [newProductDescription, setNewProductDescription] = useState("");
+  const [newProductStock, setNewProductStock] = useState("");
+  const [newProductImageFile, setNewProductImageFile] = useState(null);
+
+  const [adminOrderSearch, setAdminOrderSearch] = useState("");
+  const [adminOrderStatusFilter, setAdminOrderStatusFilter] = useState("All");
+  const [adminOrderDateFilter, setAdminOrderDateFilter] = useState("");
+  const [adminOrderSort, setAdminOrderSort] = useState("newest");
+  const [adminProductSearch, setAdminProductSearch] = useState("");
+  const [stockDrafts, setStockDrafts] = useState({});
+  const [editingProductId, setEditingProductId] = useState(null);
+  const [productEditDraft, setProductEditDraft] = useState(null);
+  const [productEditImageFile, setProductEditImageFile] = useState(null);
+  const [productEditGallery, setProductEditGallery] = useState([]);
+  const [productEditGalleryFiles, setProductEditGalleryFiles] = useState([]);
+  const [productImages, setProductImages] = useState([]);
+  const [productImagesVersion, setProductImagesVersion] = useState(0);
+  const [productReviews, setProductReviews] = useState([]);
+  const [reviewRating, setReviewRating] = useState("5");
+  const [reviewComment, setReviewComment] = useState("");
+  const [reviewMessage, setReviewMessage] = useState("");
+
+  const [adminMessage, setAdminMessage] = useState("");
+  const [orderMessage, setOrderMessage] = useState("");
+  const [toast, setToast] = useState(null);
+  const [returnDraftOrderId, setReturnDraftOrderId] = useState(null);
+  const [returnReason, setReturnReason] = useState("");
+  const [returnNotes, setReturnNotes] = useState({});
+  const [addresses, setAddresses] = useState([]);
+  const [addressesLoading, setAddressesLoading] = useState(() => hasSupabaseConfig && Boolean(supabase));
+  const [addressDraft, setAddressDraft] = useState(EMPTY_ADDRESS_DRAFT);
+  const [editingAddressId, setEditingAddressId] = useState(null);
+  const [addressMessage, setAddressMessage] = useState("");
+  const [selectedAddressId, setSelectedAddressId] = useState("");
+  const [categoriesLoading, setCategoriesLoading] = useState(() => hasSupabaseConfig && Boolean(supabase));
+  const [ordersLoading, setOrdersLoading] = useState(false);
+  const [catalogVersion, setCatalogVersion] = useState(0);
+  const [adminOrdersVersion, setAdminOrdersVersion] = useState(0);
+  const [adminOrderSummary, setAdminOrderSummary] = useState(null);
+  const [analyticsRange, setAnalyticsRange] = useState(() => {
+    const today = new Date();
+    const start = new Date(today);
+    start.setDate(today.getDate() - (ANALYTICS_DEFAULT_DAYS - 1));
+    return { from: toDateInputValue(start), to: toDateInputValue(today), bucket: "day" };
+  });
+  const [analyticsReport, setAnalyticsReport] = useState(null);
+  const [analyticsLoading, setAnalyticsLoading] = useState(false);
+  const [productImport, setProductImport] = useState(null);
+  const [importingProducts, setImportingProducts] = useState(false);
+  const [exportingCsv, setExportingCsv] = useState(false);
+  const [banners, setBanners] = useState(() =>
+    hasSupabaseConfig && supabase ? [] : sortBanners(bannersSeed.map(normalizeBanner))
+  );
+  const [coupons, setCoupons] = useState(() =>
+    hasSupabaseConfig && supabase ? [] : couponsSeed.map(normalizeCoupon)
+  );
+  const [couponDraft, setCouponDraft] = useState(EMPTY_COUPON_DRAFT);
+  const [editingCouponId, setEditingCouponId] = useState(null);
+  const [couponInput, setCouponInput] = useState("");
+  const [appliedCouponCode, setAppliedCouponCode] = useState("");
+  const [checkoutQuote, setCheckoutQuote] = useState(null);
+  const [paymentBusyOrderId, setPaymentBusyOrderId] = useState(null);
+  const [storeSettings, setStoreSettings] = useState(DEFAULT_STORE_SETTINGS);
+  const [pricingDraft, setPricingDraft] = useState(null);
+  const [exchangeRates, setExchangeRates] = useState(() =>
+    hasSupabaseConfig && supabase ? [] : sortExchangeRates(exchangeRatesSeed.map(normalizeExchangeRate))
+  );
+  const [exchangeRateDraft, setExchangeRateDraft] = useState(EMPTY_EXCHANGE_RATE_DRAFT);
+  const [editingExchangeRateCurrency, setEditingExchangeRateCurrency] = useState(null);
+  const [currencyDefaultsDraft, setCurrencyDefaultsDraft] = useState(null);
+  const [preferences, setPreferences] = useState(() =>
+    hasSupabaseConfig && supabase ? EMPTY_PREFERENCES : readStoredPreferences(user.id)
+  );
+  const [preferencesDraft, setPreferencesDraft] = useState(null);
+  const [preferencesMessage, setPreferencesMessage] = useState("");
+  const [categoryTaxDrafts, setCategoryTaxDrafts] = useState({});
+  const [couponError, setCouponError] = useState("");
+  const [bannerDraft, setBannerDraft] = useState(EMPTY_BANNER_DRAFT);
+  const [bannerImageFile, setBannerImageFile] = useState(null);
+  const [bannerWindowTick, setBannerWindowTick] = useState(0);
+  const [editingBannerId, setEditingBannerId] = useState(null);
+  const [adminUserSearch, setAdminUserSearch] = useState("");
+  const [usersVersion, setUsersVersion] = useState(0);
+  const [roleChanges, setRoleChanges] = useState([]);
+  const [changingRoleUserId, setChangingRoleUserId] = useState(null);
+  const [relatedProductIds, setRelatedProductIds] = useState([]);
+  const [missingProductId, setMissingProductId] = useState(null);
+  const [missingOrderId, setMissingOrderId] = useState(null);
+
+  const productImageInputRef = useRef(null);
+  const productImportInputRef = useRef(null);
+  const bannerImageInputRef = useRef(null);
+  const ordersRef = useRef(orders);
+  const cartNamesRef = useRef(Object.fromEntries(storedCart.map((entry) => [entry.productId, entry.name])));
+  const permissions = ROLE_PERMISSIONS[userRole] || [];
+  const canManageCatalog = permissions.includes(PERMISSION_CATALOG);
+  const canManageOrders = permissions.includes(PERMISSION_ORDERS);
+  const allowedAdminSections = useMemo(() => {
+    const granted = ROLE_PERMISSIONS[userRole] || [];
+    return ADMIN_SECTIONS.filter((section) => granted.includes(section.permission));
+  }, [userRole]);
+  const hasAdminAccess = allowedAdminSections.length > 0;
+  const adminSection = allowedAdminSections.some((section) => section.id === route?.adminSection)
+    ? route.adminSection
+    : allowedAdminSections[0]?.id || null;
+  const categoryOptions = useMemo(() => [{ id: "all", name: t("products.allCategories") }, ...categories], [categories, language]);
+  const categoryNameById = useMemo(() => {
+    return Object.fromEntries(categories.map((category) => [category.id, category.name]));
+  }, [categories]);
+
+  // A currency without a rate, e.g. one an admin has since removed, falls back to INR.
+  const displayMoney = useMemo(() => {
+    const currency = preferences.currency || storeSettings.defaultCurrency;
+    const exchangeRate = exchangeRates.find((row) => row.currency === currency);
+    return {
+      currency: exchangeRate ? currency : BASE_CURRENCY,
+      rate: exchangeRate ? exchangeRate.rate : 1,
+      locale: preferences.locale || storeSettings.defaultLocale
+    };
+  }, [exchangeRates, preferences, storeSettings]);
+
+  const formatDisplayCurrency = (amount) => formatCurrency(amount, displayMoney);
+
+  const taxRateByCategoryId = useMemo(() => {
+    return Object.fromEntries(
+      categories.filter((category) => category.taxRate !== null).map((category) => [category.id, category.taxRate])
+    );
+  }, [categories]);
+
+  // Products store only category_id; resolve names here so renames show up everywhere at once.
+  const catalogProducts = useMemo(() => {
+    return products.map((product) => ({
+      ...product,
+      category: categoryNameById[product.categoryId] || t("products.uncategorized")
+    }));
+  }, [categoryNameById, language, products]);
+  const productById = useMemo(() => {
+    return new Map(catalogProducts.map((product) => [product.id, product]));
+  }, [catalogProducts]);
+  const orderById = useMemo(() => new Map(orders.map((order) => [order.id, order])), [orders]);
+
+  const debouncedSearch = useDebouncedValue(search, SEARCH_DEBOUNCE_MS);
+  const debouncedAdminProductSearch = useDebouncedValue(adminProductSearch, SEARCH_DEBOUNCE_MS);
+  const debouncedAdminOrderSearch = useDebouncedValue(adminOrderSearch, SEARCH_DEBOUNCE_MS);
+  const debouncedAdminUserSearch = useDebouncedValue(adminUserSearch, SEARCH_DEBOUNCE_MS);
+  const showingAdminSection = (section) => activeTab === "admin" && adminSection === section;
+
+  // Listed rows also go into `products`, which stays the single copy that realtime events and edits update.
+  const loadProductRows = async (filters, from, to) => {
+    const { data, count, error } = await queryProducts(filters, from, to);
+    if (error) {
+      setAdminMessage(t("error.loadProducts", { message: error.message }));
+      return null;
+    }
+
+    const rows = (data || []).map(normalizeProduct);
+    setProducts((prev) => mergeById(prev, rows));
+    return { rows, count };
+  };
+
+  const storefrontProductList = usePagedList({
+    enabled: hasSupabaseConfig && Boolean(supabase),
+    queryKey: JSON.stringify([toPrefixTsQuery(debouncedSearch), selectedCategoryId, productSort]),
+    refreshKey: catalogVersion,
+    pageSize: PRODUCT_PAGE_SIZE,
+    fetchPage: (from, to) =>
+      loadProductRows({ search: debouncedSearch, categoryId: selectedCategoryId, sort: productSort }, from, to)
+  });
+
+  const adminProductList = usePagedList({
+    enabled: hasSupabaseConfig && Boolean(supabase) && showingAdminSection("manage-products"),
+    queryKey: toPrefixTsQuery(debouncedAdminProductSearch),
+    refreshKey: catalogVersion,
+    pageSize: PRODUCT_PAGE_SIZE,
+    fetchPage: (from, to) => loadProductRows({ search: debouncedAdminProductSearch }, from, to)
+  });
+
+  const adminUserList = usePagedList({
+    enabled: hasSupabaseConfig && Boolean(supabase) && showingAdminSection("users"),
+    queryKey: debouncedAdminUserSearch.trim(),
+    refreshKey: usersVersion,
+    pageSize: USER_PAGE_SIZE,
+    fetchPage: async (from, to) => {
+      const { data, count, error } = await queryUsers(debouncedAdminUserSearch, from, to);
+      if (error) {
+        setAdminMessage(t("error.loadUsers", { message: error.message }));
+        return null;
+      }
+
+      return { rows: (data || []).map(normalizeUserProfile), count };
+    }
+  });
+
+  const adminOrderFilters = {
+    search: debouncedAdminOrderSearch,
+    status: adminOrderStatusFilter,
+    date: adminOrderDateFilter,
+    sort: adminOrderSort
+  };
+  const adminOrderList = usePagedList({
+    enabled: hasSupabaseConfig && Boolean(supabase) && showingAdminSection("view-orders"),
+    queryKey: JSON.stringify(adminOrderFilters),
+    refreshKey: adminOrdersVersion,
+    pageSize: ORDER_PAGE_SIZE,
+    fetchPage: async (from, to) => {
+      const { data, count, error } = await queryAdminOrders(adminOrderFilters, from, to);
+      if (error) {
+        setAdminMessage(t("error.loadOrders", { message: error.message }));
+        return null;
+      }
+
+      const rows = (data || []).map((order) => normalizeOrder(order));
+      setOrders((prev) => mergeById(prev, rows));
+      return { rows, count };
+    }
+  });
+
+  useEffect(() => {
+    if (!newProductCategoryId && categories.length > 0) {
+      setNewProductCategoryId(categories[0].id);
+    }
+  }, [categories, newProductCategoryId]);
+
+  useEffect(() => {
+    if (selectedCategoryId === "all") return;
+    const exists = categories.some((category) => category.id === selectedCategoryId);
+    if (!exists) {
+      setSelectedCategoryId("all");
+    }
+  }, [categories, selectedCategoryId]);
+
+  useEffect(() => {
+    if (!route) {
+      navigate("/products", { replace: true });
+      return;
+    }
+    if (route.tab !== "admin" || !roleReady) return;
+
+    if (!hasAdminAccess) {
+      navigate("/products", { replace: true });
+    } else if (route.adminSection !== adminSection) {
+      navigate(ADMIN_SECTION_PATHS[adminSection], { replace: true });
+    }
+  }, [adminSection, hasAdminAccess, roleReady, route]);
+
+  useEffect(() => {
+    let active = true;
+
+    const loadCategories = async () => {
+      if (!hasSupabaseConfig || !supabase) {
+        setCategories(categoriesSeed.map(normalizeCategory));
+        setCategoriesLoading(false);
+        return;
+      }
+
+      setCategoriesLoading(true);
+      const { data, error } = await supabase.from("categories").select(CATEGORY_SELECT).order("name", { ascending: true });
+
+      if (!active) return;
+      if (error) {
+        setAdminMessage(t("error.loadCategories", { message: error.message }));
+        setCategoriesLoading(false);
+        return;
+      }
+
+      setCategories((data || []).map(normalizeCategory));
+      setCategoriesLoading(false);
+    };
+
+    loadCategories();
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!hasSupabaseConfig || !supabase) return undefined;
+    let active = true;
+
+    const loadStoreSettings = async () => {
+      const { data, error } = await supabase.from("store_settings").select(STORE_SETTINGS_SELECT).maybeSingle();
+
+      if (!active) return;
+      if (error) {
+        console.error("Failed to load store settings:", error.message);
+        return;
+      }
+      if (data) {
+        setStoreSettings(normalizeStoreSettings(data));
+      }
+    };
+
+    loadStoreSettings();
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!hasSupabaseConfig || !supabase) return undefined;
+    let active = true;
+
+    const loadExchangeRates = async () => {
+      const { data, error } = await supabase.from("exchange_rates").select(EXCHANGE_RATE_SELECT);
+
+      if (!active) return;
+      if (error) {
+        console.error("Failed to load exchange rates:", error.message);
+        return;
+      }
+
+      setExchangeRates(sortExchangeRates((data || []).map(normalizeExchangeRate)));
+    };
+
+    loadExchangeRates();
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!hasSupabaseConfig || !supabase) return undefined;
+    let active = true;
+
+    const loadPreferences = async () => {
+      const { data, error } = await supabase
+        .from("profiles")
+        .select("currency, locale, language")
+        .eq("id", user.id)
+        .maybeSingle();
+
+      if (!active) return;
+      if (error) {
+        console.error("Failed to load preferences:", error.message);
+        return;
+      }
+      if (data) {
+        setPreferences({
+          currency: data.currency || "",
+          locale: data.locale || "",
+          language: isSupportedLanguage(data.language) ? data.language : ""
+        });
+      }
+    };
+
+    loadPreferences();
+
+    return () => {
+      active = false;
+    };
+  }, [user.id]);
+
+  useEffect(() => {
+    if (!preferences.language) return;
+    setLanguage(preferences.language).catch((error) => console.error("Failed to load translations:", error.message));
+  }, [preferences.language]);
+
+  useEffect(() => {
+    if (!hasSupabaseConfig || !supabase) return undefined;
+    let active = true;
+
+    // RLS hides banners outside their active window from customers; catalog staff get every banner.
+    const loadBanners = async () => {
+      const { data, error } = await supabase
+        .from("banners")
+        .select(BANNER_SELECT)
+        .order("sort_order", { ascending: true })
+        .order("created_at", { ascending: true });
+
+      if (!active) return;
+      if (error) {
+        console.error("Failed to load banners:", error.message);
+        return;
+      }
+
+      setBanners(sortBanners((data || []).map(normalizeBanner)));
+    };
+
+    loadBanners();
+
+    return () => {
+      active = false;
+    };
+  }, [userRole]);
+
+  useEffect(() => {
+    if (!hasSupabaseConfig || !supabase || !showingAdminSection("coupons")) return undefined;
+    let active = true;
+
+    const loadCoupons = async () => {
+      const { data, error } = await supabase
+        .from("coupons")
+        .select(COUPON_SELECT)
+        .order("created_at", { ascending: false });
+
+      if (!active) return;
+      if (error) {
+        console.error("Failed to load coupons:", error.message);
+        return;
+      }
+
+      setCoupons((data || []).map(normalizeCoupon));
+    };
+
+    loadCoupons();
+
+    return () => {
+      active = false;
+    };
+  }, [activeTab, adminSection]);
+
+  // bannerWindowTick only exists to recompute activeBanners when a banner's window opens or closes.
+  const activeBanners = useMemo(
+    () => banners.filter((banner) => isBannerActive(banner)),
+    [banners, bannerWindowTick]
+  );
+
+  useEffect(() => {
+    const now = Date.now();
+    const nextChange = Math.min(
+      ...banners
+        .flatMap((banner) => [banner.startsAt, banner.endsAt])
+        .filter(Boolean)
+        .map((value) => new Date(value).getTime())
+        .filter((time) => time > now)
+    );
+    if (!Number.isFinite(nextChange)) return undefined;
+
+    const timeoutId = window.setTimeout(
+      () => setBannerWindowTick((tick) => tick + 1),
+      Math.min(nextChange - now, MAX_TIMEOUT_MS)
+    );
+    return () => window.clearTimeout(timeoutId);
+  }, [banners, bannerWindowTick]);
+
+  const routeProductId = route?.productId || null;
+  const routeProductCached = Boolean(routeProductId) && productById.has(routeProductId);
+  useEffect(() => {
+    if (!routeProductId || routeProductCached || !hasSupabaseConfig || !supabase) return undefined;
+    let active = true;
+
+    const loadRouteProduct = async () => {
+      const { data, error } = await supabase.from("products").select(PRODUCT_SELECT).eq("id", routeProductId).maybeSingle();
+      if (!active) return;
+      if (error) {
+        console.error("Failed to load product:", error.message);
+      }
+      if (!data) {
+        setMissingProductId(routeProductId);
+        return;
+      }
+
+      setProducts((prev) => upsertById(prev, normalizeProduct(data)));
+    };
+
+    loadRouteProduct();
+
+    return () => {
+      active = false;
+    };
+  }, [routeProductCached, routeProductId]);
+  useEffect(() => {
+    if (!routeProductId || !hasSupabaseConfig || !supabase) {
+      setProductImages([]);
+      return undefined;
+    }
+    let active = true;
+
+    const loadProductImages = async () => {
+      const { images, error } = await fetchProductImages(routeProductId);
+      if (!active) return;
+      if (error) {
+        console.error("Failed to load product images:", error.message);
+      }
+      setProductImages(images);
+    };
+
+    loadProductImages();
+
+    return () => {
+      active = false;
+    };
+  }, [productImagesVersion, routeProductId]);
+
+  useEffect(() => {
+    setReviewMessage("");
+    if (!routeProductId || !hasSupabaseConfig || !supabase) {
+      setProductReviews([]);
+      return undefined;
+    }
+    let active = true;
+
+    const loadReviews = async () => {
+      const { data, error } = await supabase
+        .from("reviews")
+        .select(REVIEW_SELECT)
+        .eq("product_id", routeProductId)
+        .order("created_at", { ascending: false });
+
+      if (!active) return;
+      if (error) {
+        setReviewMessage(t("error.loadReviews", { message: error.message }));
+        setProductReviews([]);
+        return;
+      }
+
+      setProductReviews((data || []).map(normalizeReview));
+    };
+
+    loadReviews();
+
+    return () => {
+      active = false;
+    };
+  }, [routeProductId]);
+
+  useEffect(() => {
+    if (!hasSupabaseConfig || !supabase) return undefined;
+    let active = true;
+
+    const loadServerCart = async () => {
+      const { data, error } = await supabase
+        .from("carts")
+        .select("items, removed")
+        .eq("user_id", user.id)
+        .maybeSingle();
+      if (!active) return;
+      if (error) {
+        // Stay local-only rather than overwrite a server cart we could not read.
+        console.error("Failed to load cart:", error.message);
+        return;
+      }
+
+      // The local cart is read now rather than at mount, in case it was edited while this request was in flight.
+      // Marking the cart synced lets the sync effect write the merged result back to the server.
+      const merged = mergeCarts(readStoredCart(user.id), normalizeCart(data));
+      merged.entries.forEach((entry) => {
+        cartNamesRef.current[entry.productId] ||= entry.name;
+      });
+      writeStoredCart(user.id, merged);
+      setCartItems(cartEntriesToItems(merged.entries));
+      setCartSynced(true);
+    };
+
+    loadServerCart();
+
+    return () => {
+      active = false;
+    };
+  }, [user.id]);
+
+  useEffect(() => {
+    let active = true;
+
+    const loadAddresses = async () => {
+      if (!hasSupabaseConfig || !supabase) {
+        setAddressesLoading(false);
+        return;
+      }
+
+      setAddressesLoading(true);
+      const { data, error } = await supabase
+        .from("addresses")
+        .select(ADDRESS_SELECT)
+        .eq("user_id", user.id)
+        .order("is_default", { ascending: false })
+        .order("created_at", { ascending: true });
+
+      if (!active) return;
+      if (error) {
+        setAddressMessage(t("error.loadAddresses", { message: error.message }));
+        setAddressesLoading(false);
+        return;
+      }
+
+      setAddresses((data || []).map(normalizeAddress));
+      setAddressesLoading(false);
+    };
+
+    loadAddresses();
+
+    return () => {
+      active = false;
+    };
+  }, [user.id]);
+
+  useEffect(() => {
+    if (addresses.some((address) => address.id === selectedAddressId)) return;
+    const fallbackAddress = addresses.find((address) => address.isDefault) || addresses[0];
+    setSelectedAddressId(fallbackAddress?.id || "");
+  }, [addresses, selectedAddressId]);
+
+  useEffect(() => {
+    let active = true;
+
+    const loadOrders = async () => {
+      const fallback = ordersSeed.map((order) => normalizeOrder(order, { userId: user.id, userEmail: user.email }));
+
+      if (!hasSupabaseConfig || !supabase) {
+        if (active) {
+          setOrders(fallback);
+          setOrdersLoading(false);
+        }
+        return;
+      }
+
+      // Only the user's own orders load up front; the admin order list pages through everyone else's.
+      setOrdersLoading(true);
+      const { data, error } = await supabase
+        .from("orders")
+        .select(ORDER_SELECT)
+        .eq("user_id", user.id)
+        .order("created_at", { ascending: false });
+      if (!active) return;
+
+      if (error) {
+        setOrderMessage(t("error.loadOrders", { message: error.message }));
+        setOrders(fallback);
+        setOrdersLoading(false);
+        return;
+      }
+
+      setOrders((data || []).map((order) => normalizeOrder(order, { userEmail: user.email })));
+      setOrdersLoading(false);
+    };
+
+    loadOrders();
+
+    return () => {
+      active = false;
+    };
+  }, [user.email, user.id]);
+
+  useEffect(() => {
+    ordersRef.current = orders;
+  }, [orders]);
+
+  useEffect(() => {
+    if (!hasSupabaseConfig || !supabase) return undefined;
+
+    const channel = supabase
+      .channel("catalog-changes")
+      .on("postgres_changes", { event: "*", schema: "public", table: "categories" }, (payload) => {
+        setCategories((prev) =>
+          applyRealtimeChange(prev, payload, normalizeCategory).sort((a, b) => a.name.localeCompare(b.name))
+        );
+      })
+      .on("postgres_changes", { event: "*", schema: "public", table: "products" }, (payload) => {
+        setProducts((prev) => applyRealtimeChange(prev, payload, normalizeProduct));
+        if (payload.eventType === "INSERT") {
+          setCatalogVersion((version) => version + 1);
+        }
+      })
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!hasSupabaseConfig || !supabase) return undefined;
+    let active = true;
+    // RLS already limits what each session receives; the filter just saves customers the traffic.
+    const ownOrdersFilter = canManageOrders ? {} : { filter: `user_id=eq.${user.id}` };
+
+    // Change payloads carry only the orders row, so re-read it to pick up line items, history, returns and payments.
+    const reloadOrder = async (orderId) => {
+      const { data, error } = await fetchOrder(orderId);
+      if (!active) return;
+      if (error) {
+        console.error("Failed to reload order:", error.message);
+        return;
+      }
+
+      const nextOrder = normalizeOrder(data, { userEmail: user.email });
+      const previousOrder = ordersRef.current.find((order) => order.id === nextOrder.id);
+      const lastChange = nextOrder.statusHistory[nextOrder.statusHistory.length - 1];
+      if (
+        !canManageOrders &&
+        previousOrder &&
+        previousOrder.status !== nextOrder.status &&
+        lastChange?.changedByEmail !== user.email
+      ) {
+        setToast({
+          id: Date.now(),
+          message: t("orders.statusChangedToast", { id: nextOrder.id, status: t(ORDER_STATUS_LABEL_KEYS[nextOrder.status]) })
+        });
+      }
+      setOrders((prev) => upsertById(prev, nextOrder));
+    };
+
+    const channel = supabase
+      .channel(`order-changes:${user.id}`)
+      .on("postgres_changes", { event: "*", schema: "public", table: "orders", ...ownOrdersFilter }, (payload) => {
+        if (payload.eventType === "DELETE") {
+          setOrders((prev) => prev.filter((order) => order.id !== String(payload.old.id)));
+          return;
+        }
+        reloadOrder(payload.new.id);
+        if (canManageOrders && payload.eventType === "INSERT") {
+          setAdminOrdersVersion((version) => version + 1);
+        }
+      })
+      .on("postgres_changes", { event: "*", schema: "public", table: "return_requests", ...ownOrdersFilter }, (payload) => {
+        if (payload.new?.order_id) reloadOrder(payload.new.order_id);
+      })
+      .on("postgres_changes", { event: "*", schema: "public", table: "payments", ...ownOrdersFilter }, (payload) => {
+        if (payload.new?.order_id) reloadOrder(payload.new.order_id);
+      })
+      .subscribe();
+
+    return () => {
+      active = false;
+      supabase.removeChannel(channel);
+    };
+  }, [canManageOrders, user.email, user.id]);
+
+  useEffect(() => {
+    if (!toast) return undefined;
+    const timer = window.setTimeout(() => setToast(null), TOAST_DURATION_MS);
+    return () => window.clearTimeout(timer);
+  }, [toast]);
+
+  const filteredProducts = useMemo(() => {
+    if (hasSupabaseConfig && supabase) {
+      return storefrontProductList.rows.map((row) => productById.get(row.id)).filter(Boolean);
+    }
+
+    const query = search.trim().toLowerCase();
+    const filtered = catalogProducts.filter((product) => {
+      const categoryMatch = selectedCategoryId === "all" || product.categoryId === selectedCategoryId;
+      const queryMatch =
+        query.length === 0 ||
+        product.name.toLowerCase().includes(query) ||
+        (product.description || "").toLowerCase().includes(query);
+      return categoryMatch && queryMatch;
+    });
+
+    // Local ids are not in creation order, so Newest keeps the catalog order.
+    const { column, ascending } = PRODUCT_SORTS[productSort];
+    if (column === "id") return filtered;
+    return filtered.sort((a, b) => {
+      const order = typeof a[column] === "string" ? a[column].localeCompare(b[column]) : a[column] - b[column];
+      return ascending ? order : -order;
+    });
+  }, [catalogProducts, productById, productSort, search, selectedCategoryId, storefrontProductList.rows]);
+  const productsLoading = hasSupabaseConfig && Boolean(supabase) && storefrontProductList.loading;
+
+  const cartRows = useMemo(() => {
+    const grouped = cartItems.reduce((acc, id) => {
+      acc[id] = (acc[id] || 0) + 1;
+      return acc;
+    }, {});
+
+    return Object.entries(grouped)
+      .map(([id, qty]) => {
+        const product = products.find((item) => item.id === id);
+        if (!product) return null;
+        return {
+          id,
+          name: product.name,
+          categoryId: product.categoryId,
+          price: product.price,
+          qty,
+          stock: product.stock,
+          total: product.price * qty
+        };
+      })
+      .filter(Boolean);
+  }, [cartItems, products]);
+
+  const cartSummary = useMemo(() => {
+    const hasStockIssue = cartRows.some((row) => row.qty > row.stock);
+    const quoteIsCurrent = checkoutQuote?.rows === cartRows && checkoutQuote.requestedCode === appliedCouponCode;
+    // Until the debounced quote for this cart arrives, estimate from the store settings without the coupon.
+    const pricing = quoteIsCurrent
+      ? checkoutQuote
+      : { ...priceOrderLines(cartRows, { taxRateByCategoryId, settings: storeSettings }), couponCode: null };
+
+    return {
+      rows: cartRows,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      tax: pricing.tax,
+      shippingFee: pricing.shippingFee,
+      total: pricing.total,
+      couponCode: pricing.couponCode,
+      hasStockIssue
+    };
+  }, [appliedCouponCode, cartRows, checkoutQuote, storeSettings, taxRateByCategoryId]);
+
+  // Re-price the cart whenever it or the coupon changes. With Supabase, price_order is the source of truth; a coupon
+  // it rejects is reported and the cart is priced without it. place_order repeats the pricing when the order is saved.
+  useEffect(() => {
+    if (cartRows.length === 0) {
+      setCheckoutQuote(null);
+      setCouponError("");
+      return undefined;
+    }
+    let active = true;
+
+    const timeoutId = setTimeout(async () => {
+      let pricing = null;
+      let couponProblem = "";
+
+      if (hasSupabaseConfig && supabase) {
+        const items = cartRows.map((row) => ({ product_id: row.id, quantity: row.qty }));
+        const priceCart = (code) => supabase.rpc("price_order", { items, code }).single();
+        let response = await priceCart(appliedCouponCode || null);
+        if (response.error && appliedCouponCode) {
+          couponProblem = response.error.message;
+          response = await priceCart(null);
+        }
+
+        if (response.error) {
+          console.error("Failed to price cart:", response.error.message);
+        } else {
+          pricing = {
+            subtotal: Number(response.data.subtotal) || 0,
+            discount: Number(response.data.discount) || 0,
+            tax: Number(response.data.tax) || 0,
+            shippingFee: Number(response.data.shipping_fee) || 0,
+            total: Number(response.data.total) || 0,
+            couponCode: response.data.coupon_code || null
+          };
+        }
+      } else {
+        const { quote, error } = appliedCouponCode
+          ? quoteLocalCoupon(appliedCouponCode, cartRows, coupons, orders, user.id, displayMoney)
+          : {};
+        couponProblem = error || "";
+        pricing = {
+          ...priceOrderLines(cartRows, {
+            discount: quote?.discount,
+            discountCategoryIds: quote?.categoryIds,
+            taxRateByCategoryId,
+            settings: storeSettings
+          }),
+          couponCode: quote?.code || null
+        };
+      }
+
+      if (!active) return;
+      setCouponError(couponProblem);
+      if (pricing) {
+        setCheckoutQuote({ ...pricing, rows: cartRows, requestedCode: appliedCouponCode });
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      active = false;
+      clearTimeout(timeoutId);
+    };
+  }, [appliedCouponCode, cartRows, coupons, displayMoney, orders, storeSettings, taxRateByCategoryId, user.id]);
+
+  const cartQtyById = useMemo(() => {
+    return cartItems.reduce((acc, id) => {
+      acc[id] = (acc[id] || 0) + 1;
+      return acc;
+    }, {});
+  }, [cartItems]);
+
+  useEffect(() => {
+    const cart = updateCart(readStoredCart(user.id), cartQtyById, cartNamesRef.current);
+    writeStoredCart(user.id, cart);
+
+    if (!cartSynced || !supabase) return undefined;
+    const timeoutId = setTimeout(async () => {
+      const { error } = await supabase
+        .from("carts")
+        .upsert({ user_id: user.id, ...serializeCart(cart), updated_at: new Date().toISOString() }, { onConflict: "user_id" });
+      if (error) {
+        console.error("Failed to sync cart:", error.message);
+      }
+    }, CART_SYNC_DELAY_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [cartQtyById, cartSynced, user.id]);
+
+  useEffect(() => {
+    Object.keys(cartQtyById).forEach((id) => {
+      if (productById.has(id)) {
+        cartNamesRef.current[id] = productById.get(id).name;
+      }
+    });
+  }, [cartQtyById, productById]);
+
+  // Cart products outside the loaded pages are fetched by id; whatever the server no longer has is dropped.
+  const missingCartProductKey = useMemo(() => {
+    return JSON.stringify(Object.keys(cartQtyById).filter((id) => !productById.has(id)));
+  }, [cartQtyById, productById]);
+
+  useEffect(() => {
+    const missingIds = JSON.parse(missingCartProductKey);
+    if (missingIds.length === 0) return undefined;
+    let active = true;
+
+    const loadCartProducts = async () => {
+      let foundIds = new Set();
+      if (hasSupabaseConfig && supabase) {
+        const { data, error } = await supabase.from("products").select(PRODUCT_SELECT).in("id", missingIds);
+        if (!active) return;
+        if (error) {
+          console.error("Failed to load cart products:", error.message);
+          return;
+        }
+
+        const found = (data || []).map(normalizeProduct);
+        foundIds = new Set(found.map((product) => product.id));
+        setProducts((prev) => mergeById(prev, found));
+      }
+
+      const removedIds = missingIds.filter((id) => !foundIds.has(id));
+      if (removedIds.length === 0) return;
+
+      const removedNames = removedIds.map((id) => cartNamesRef.current[id] || t("cart.unavailableProduct"));
+      setCartItems((prev) => prev.filter((id) => !removedIds.includes(id)));
+      setCartMessage(t("cart.removedUnavailable", { names: removedNames.join(", ") }));
+    };
+
+    loadCartProducts();
+
+    return () => {
+      active = false;
+    };
+  }, [missingCartProductKey]);
+
+  const routeProduct = routeProductId ? productById.get(routeProductId) || null : null;
+  const routeProductCategoryId = routeProduct?.categoryId || null;
+
+  useEffect(() => {
+    if (!routeProductId || !routeProductCategoryId || !hasSupabaseConfig || !supabase) {
+      setRelatedProductIds([]);
+      return undefined;
+    }
+    let active = true;
+
+    const loadRelatedProducts = async () => {
+      const { data, error } = await supabase
+        .from("products")
+        .select(PRODUCT_SELECT)
+        .eq("category_id", routeProductCategoryId)
+        .neq("id", routeProductId)
+        .order("id", { ascending: false })
+        .limit(4);
+
+      if (!active) return;
+      if (error) {
+        console.error("Failed to load related products:", error.message);
+        return;
+      }
+
+      const related = (data || []).map(normalizeProduct);
+      setProducts((prev) => mergeById(prev, related));
+      setRelatedProductIds(related.map((product) => product.id));
+    };
+
+    loadRelatedProducts();
+
+    return () => {
+      active = false;
+    };
+  }, [routeProductCategoryId, routeProductId]);
+
+  const relatedProducts = useMemo(() => {
+    if (!routeProduct) return [];
+    if (hasSupabaseConfig && supabase) {
+      return relatedProductIds.map((id) => productById.get(id)).filter(Boolean);
+    }
+    return catalogProducts
+      .filter((product) => product.categoryId === routeProduct.categoryId && product.id !== routeProduct.id)
+      .slice(0, 4);
+  }, [catalogProducts, productById, relatedProductIds, routeProduct]);
+
+  const ownReview = useMemo(() => {
+    return productReviews.find((review) => review.userId === user.id) || null;
+  }, [productReviews, user.id]);
+
+  useEffect(() => {
+    setReviewRating(ownReview ? String(ownReview.rating) : "5");
+    setReviewComment(ownReview ? ownReview.comment : "");
+  }, [ownReview]);
+
+  const visibleReviews = useMemo(() => {
+    return canManageCatalog ? productReviews : productReviews.filter((review) => review.status === "published");
+  }, [canManageCatalog, productReviews]);
+
+  const routeOrderId = route?.orderId || null;
+  const routeOrder = routeOrderId ? orderById.get(routeOrderId) || null : null;
+  const routeOrderCached = Boolean(routeOrder);
+
+  // Admins can open any order by link, and most of those are not in the pages loaded so far.
+  useEffect(() => {
+    if (!routeOrderId || routeOrderCached || ordersLoading || !hasSupabaseConfig || !supabase) return undefined;
+    let active = true;
+
+    const loadRouteOrder = async () => {
+      const { data, error } = await supabase.from("orders").select(ORDER_SELECT).eq("id", routeOrderId).maybeSingle();
+      if (!active) return;
+      if (error) {
+        console.error("Failed to load order:", error.message);
+      }
+      if (!data) {
+        setMissingOrderId(routeOrderId);
+        return;
+      }
+
+      setOrders((prev) => upsertById(prev, normalizeOrder(data)));
+    };
+
+    loadRouteOrder();
+
+    return () => {
+      active = false;
+    };
+  }, [ordersLoading, routeOrderCached, routeOrderId]);
+
+  const checkoutAddress = useMemo(() => {
+    return addresses.find((address) => address.id === selectedAddressId) || null;
+  }, [addresses, selectedAddressId]);
+
+  const myOrders = useMemo(() => {
+    return orders.filter((order) => !order.userId || order.userId === user.id);
+  }, [orders, user.id]);
+
+  const canReviewRouteProduct = useMemo(() => {
+    if (!routeProductId) return false;
+    return myOrders.some(
+      (order) => order.status !== "Cancelled" && order.lineItems.some((item) => item.productId === routeProductId)
+    );
+  }, [myOrders, routeProductId]);
+
+  const adminOrders = useMemo(() => {
+    if (!canManageOrders) return [];
+    if (hasSupabaseConfig && supabase) {
+      return adminOrderList.rows.map((row) => orderById.get(row.id)).filter(Boolean);
+    }
+
+    const query = adminOrderSearch.trim().toLowerCase();
+    const filtered = orders.filter((order) => {
       const statusMatch = adminOrderStatusFilter === "All" || order.status === adminOrderStatusFilter;
       const dateMatch = !adminOrderDateFilter || order.date === adminOrderDateFilter;
       const searchMatch =
@@ -354,268 +2504,1833 @@ function Storefront({ user, userRole, onLogout }) {
       return statusMatch && dateMatch && searchMatch;
     });
 
-    return filtered.sort((a, b) => {
-      const left = new Date(a.date).getTime();
-      const right = new Date(b.date).getTime();
-      return adminOrderSort === "oldest" ? left - right : right - left;
+    return filtered.sort((a, b) => {
+      const left = new Date(a.date).getTime();
+      const right = new Date(b.date).getTime();
+      return adminOrderSort === "oldest" ? left - right : right - left;
+    });
+  }, [
+    adminOrderDateFilter,
+    adminOrderList.rows,
+    adminOrderSearch,
+    adminOrderSort,
+    adminOrderStatusFilter,
+    canManageOrders,
+    orderById,
+    orders
+  ]);
+
+  const pendingReturnOrders = useMemo(() => {
+    if (!canManageOrders) return [];
+    return orders.filter((order) => order.returnRequest?.status === "Pending");
+  }, [canManageOrders, orders]);
+
+  useEffect(() => {
+    if (!hasSupabaseConfig || !supabase || !showingAdminSection("returns")) return undefined;
+    let active = true;
+
+    const loadPendingReturns = async () => {
+      const { data: requests, error } = await supabase
+        .from("return_requests")
+        .select("order_id")
+        .eq("status", "Pending")
+        .order("created_at", { ascending: true });
+
+      if (!active) return;
+      if (error) {
+        setAdminMessage(t("error.loadReturns", { message: error.message }));
+        return;
+      }
+      if (!requests?.length) return;
+
+      const { data, error: ordersError } = await supabase
+        .from("orders")
+        .select(ORDER_SELECT)
+        .in("id", requests.map((request) => request.order_id));
+
+      if (!active) return;
+      if (ordersError) {
+        setAdminMessage(t("error.loadOrders", { message: ordersError.message }));
+        return;
+      }
+
+      setOrders((prev) => mergeById(prev, (data || []).map((order) => normalizeOrder(order))));
+    };
+
+    loadPendingReturns();
+
+    return () => {
+      active = false;
+    };
+  }, [activeTab, adminSection]);
+
+  useEffect(() => {
+    if (!hasSupabaseConfig || !supabase || !showingAdminSection("view-orders")) return undefined;
+    let active = true;
+
+    const loadAdminOrderSummary = async () => {
+      const { data, error } = await supabase.rpc("admin_order_summary").single();
+      if (!active) return;
+      if (error) {
+        setAdminMessage(t("error.loadOrderSummary", { message: error.message }));
+        return;
+      }
+
+      setAdminOrderSummary({
+        totalOrders: Number(data.total_orders) || 0,
+        pendingOrders: Number(data.open_orders) || 0,
+        totalRevenue: Number(data.total_revenue) || 0
+      });
+    };
+
+    loadAdminOrderSummary();
+
+    return () => {
+      active = false;
+    };
+  }, [activeTab, adminOrdersVersion, adminSection]);
+
+  useEffect(() => {
+    if (!hasSupabaseConfig || !supabase || !showingAdminSection("analytics")) return undefined;
+    if (!analyticsRange.from || !analyticsRange.to || analyticsRange.from > analyticsRange.to) return undefined;
+    let active = true;
+
+    const loadSalesReport = async () => {
+      setAnalyticsLoading(true);
+      const { data, error } = await supabase.rpc("admin_sales_report", {
+        from_date: analyticsRange.from,
+        to_date: analyticsRange.to,
+        bucket: analyticsRange.bucket
+      });
+
+      if (!active) return;
+      setAnalyticsLoading(false);
+      if (error) {
+        setAdminMessage(t("error.loadAnalytics", { message: error.message }));
+        return;
+      }
+
+      setAnalyticsReport(normalizeSalesReport(data || {}));
+    };
+
+    loadSalesReport();
+
+    return () => {
+      active = false;
+    };
+  }, [activeTab, adminSection, analyticsRange]);
+
+  useEffect(() => {
+    if (!hasSupabaseConfig || !supabase || !showingAdminSection("users")) return undefined;
+    let active = true;
+
+    const loadRoleChanges = async () => {
+      const { data, error } = await supabase
+        .from("role_changes")
+        .select(ROLE_CHANGE_SELECT)
+        .order("changed_at", { ascending: false })
+        .limit(10);
+
+      if (!active) return;
+      if (error) {
+        console.error("Failed to load role changes:", error.message);
+        return;
+      }
+
+      setRoleChanges((data || []).map(normalizeRoleChange));
+    };
+
+    loadRoleChanges();
+
+    return () => {
+      active = false;
+    };
+  }, [activeTab, adminSection, usersVersion]);
+
+  const adminOrderStats = useMemo(() => {
+    if (!canManageOrders) {
+      return { totalOrders: 0, pendingOrders: 0, totalRevenue: 0 };
+    }
+    if (hasSupabaseConfig && supabase) {
+      return adminOrderSummary || { totalOrders: 0, pendingOrders: 0, totalRevenue: 0 };
+    }
+
+    return {
+      totalOrders: orders.length,
+      pendingOrders: orders.filter((order) => OPEN_ORDER_STATUSES.includes(order.status)).length,
+      totalRevenue: orders
+        .filter((order) => order.status !== "Cancelled")
+        .reduce((sum, order) => sum + order.total, 0)
+    };
+  }, [adminOrderSummary, canManageOrders, orders]);
+
+  const adminVisibleProducts = useMemo(() => {
+    if (hasSupabaseConfig && supabase) {
+      return adminProductList.rows.map((row) => productById.get(row.id)).filter(Boolean);
+    }
+
+    const query = adminProductSearch.trim().toLowerCase();
+    if (!query) return catalogProducts;
+    return catalogProducts.filter((product) => {
+      return product.name.toLowerCase().includes(query) || (product.description || "").toLowerCase().includes(query);
+    });
+  }, [adminProductList.rows, adminProductSearch, catalogProducts, productById]);
+
+  const increaseQty = (id) => {
+    const product = products.find((item) => item.id === id);
+    if (!product) return;
+
+    cartNamesRef.current[id] = product.name;
+    setCartItems((prev) => {
+      const inCart = prev.filter((itemId) => itemId === id).length;
+      if (inCart >= product.stock) return prev;
+      return [...prev, id];
+    });
+  };
+
+  const decreaseQty = (id) => {
+    setCartItems((prev) => {
+      const index = prev.indexOf(id);
+      if (index < 0) return prev;
+      return [...prev.slice(0, index), ...prev.slice(index + 1)];
+    });
+  };
+
+  const refreshProductStock = async (productIds) => {
+    if (!hasSupabaseConfig || !supabase || productIds.length === 0) return;
+
+    const { data, error } = await supabase.from("products").select("id, stock").in("id", productIds);
+    if (error) {
+      console.error("Failed to refresh stock:", error.message);
+      return;
+    }
+
+    const stockById = new Map((data || []).map((row) => [String(row.id), Number(row.stock) || 0]));
+    setProducts((prev) =>
+      prev.map((product) => (stockById.has(product.id) ? { ...product, stock: stockById.get(product.id) } : product))
+    );
+  };
+
+  const placeOrder = async () => {
+    if (cartSummary.rows.length === 0) return;
+
+    setOrderMessage("");
+    if (cartSummary.hasStockIssue) {
+      setOrderMessage(t("checkout.error.stock"));
+      return;
+    }
+    if (!checkoutAddress) {
+      setOrderMessage(t("checkout.error.address"));
+      return;
+    }
+    if (appliedCouponCode && cartSummary.couponCode !== appliedCouponCode) {
+      setOrderMessage(couponError || t("checkout.error.couponPending"));
+      return;
+    }
+
+    const orderDraft = {
+      status: "Placed",
+      date: new Date().toISOString().slice(0, 10),
+      subtotal: cartSummary.subtotal,
+      discount: cartSummary.discount,
+      couponCode: appliedCouponCode || null,
+      tax: cartSummary.tax,
+      shippingFee: cartSummary.shippingFee,
+      total: cartSummary.total,
+      items: cartSummary.rows.reduce((sum, row) => sum + row.qty, 0),
+      lineItems: cartSummary.rows.map((row) => ({ productId: row.id, name: row.name, price: row.price, qty: row.qty })),
+      userId: user.id,
+      userEmail: user.email
+    };
+
+    let newOrder;
+    if (hasSupabaseConfig && supabase) {
+      const { data: placedOrder, error } = await supabase
+        .rpc("place_order", {
+          items: orderDraft.lineItems.map((item) => ({ product_id: item.productId, quantity: item.qty })),
+          address_id: checkoutAddress.id,
+          coupon_code: orderDraft.couponCode
+        })
+        .single();
+
+      if (error) {
+        setOrderMessage(t("checkout.error.placeOrder", { message: error.message }));
+        await refreshProductStock(orderDraft.lineItems.map((item) => item.productId));
+        return;
+      }
+
+      const { data, error: fetchError } = await fetchOrder(placedOrder.id);
+      if (fetchError) {
+        console.error("Failed to load placed order:", fetchError.message);
+      }
+      newOrder = normalizeOrder(data || placedOrder, { userId: user.id, userEmail: user.email });
+    } else {
+      newOrder = normalizeOrder(
+        {
+          id: `o-${Date.now().toString().slice(-6)}`,
+          status: orderDraft.status,
+          date: orderDraft.date,
+          subtotal: orderDraft.subtotal,
+          discount: orderDraft.discount,
+          couponCode: orderDraft.couponCode,
+          tax: orderDraft.tax,
+          shippingFee: orderDraft.shippingFee,
+          chargesRecorded: true,
+          stockReserved: true,
+          total: orderDraft.total,
+          currency: displayMoney.currency,
+          exchangeRate: displayMoney.rate,
+          items: orderDraft.items,
+          lineItems: orderDraft.lineItems,
+          shippingAddress: checkoutAddress,
+          statusHistory: [
+            {
+              id: `h-${Date.now()}`,
+              toStatus: orderDraft.status,
+              changedAt: new Date().toISOString(),
+              changedByEmail: user.email
+            }
+          ]
+        },
+        { userId: user.id, userEmail: user.email }
+      );
+    }
+    setOrders((prev) => [newOrder, ...prev]);
+
+    const orderedQtyById = Object.fromEntries(orderDraft.lineItems.map((item) => [item.productId, item.qty]));
+    setProducts((prev) =>
+      prev.map((product) =>
+        orderedQtyById[product.id] ? { ...product, stock: Math.max(0, product.stock - orderedQtyById[product.id]) } : product
+      )
+    );
+    setCartItems([]);
+    removeCoupon();
+    navigate(orderPath(newOrder.id));
+    if (await startPayment(newOrder)) {
+      setOrderMessage(t("checkout.placedAwaitingPayment"));
+    }
+  };
+
+  // Payments: the checkout starts an intent for the order, then the provider reports the outcome. Only the mock
+  // provider reports from the browser; see src/payments.js.
+  const startPayment = async (order) => {
+    setOrderMessage("");
+    setPaymentBusyOrderId(order.id);
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await createPaymentIntent(order.id);
+      if (error) {
+        setOrderMessage(
+          error.code === PAYMENT_PROVIDER_UNAVAILABLE_CODE
+            ? t("payment.error.unavailable")
+            : t("payment.error.start", { message: error.message })
+        );
+        setPaymentBusyOrderId(null);
+        return false;
+      }
+    }
+
+    await replaceOrder(order.id, (current) => ({
+      payments: [
+        ...current.payments.map((payment) =>
+          payment.status === "pending"
+            ? { ...confirmLocalPayment(payment, "failed"), failureReason: "Replaced by a new payment attempt" }
+            : payment
+        ),
+        createLocalPaymentIntent(current)
+      ]
+    }));
+    setPaymentBusyOrderId(null);
+    return true;
+  };
+
+  const completePayment = async (order, payment, outcome) => {
+    setOrderMessage("");
+    setPaymentBusyOrderId(order.id);
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await confirmPaymentInBrowser(payment, outcome);
+      if (error) {
+        setOrderMessage(t("payment.error.confirm", { message: error.message }));
+        setPaymentBusyOrderId(null);
+        return;
+      }
+    }
+
+    await replaceOrder(order.id, (current) => {
+      const payments = current.payments.map((item) => (item.id === payment.id ? confirmLocalPayment(item, outcome) : item));
+      if (outcome !== "succeeded" || current.status !== "Placed") return { payments };
+
+      return {
+        payments,
+        status: "Processing",
+        statusHistory: [
+          ...current.statusHistory,
+          normalizeStatusChange({
+            id: `h-${Date.now()}`,
+            fromStatus: current.status,
+            toStatus: "Processing",
+            changedAt: new Date().toISOString(),
+            changedByEmail: null
+          })
+        ]
+      };
+    });
+    setPaymentBusyOrderId(null);
+    setOrderMessage(outcome === "succeeded" ? t("payment.succeeded") : t("payment.declined"));
+  };
+
+  const applyCoupon = (event) => {
+    event.preventDefault();
+    const code = normalizeCouponCode(couponInput);
+    if (!code) return;
+    setCouponInput(code);
+    setCouponError("");
+    setAppliedCouponCode(code);
+  };
+
+  const removeCoupon = () => {
+    setAppliedCouponCode("");
+    setCouponInput("");
+    setCouponError("");
+  };
+
+  const resetAddressForm = () => {
+    setAddressDraft(EMPTY_ADDRESS_DRAFT);
+    setEditingAddressId(null);
+  };
+
+  const startEditingAddress = (address) => {
+    setEditingAddressId(address.id);
+    setAddressDraft(Object.fromEntries(ADDRESS_FIELDS.map((field) => [field.key, address[field.key]])));
+    setAddressMessage("");
+  };
+
+  const saveAddress = async (event) => {
+    event.preventDefault();
+    setAddressMessage("");
+
+    const values = Object.fromEntries(ADDRESS_FIELDS.map((field) => [field.key, addressDraft[field.key].trim()]));
+    const missingField = ADDRESS_FIELDS.find((field) => field.required && !values[field.key]);
+    if (missingField) {
+      setAddressMessage(t("address.fieldRequired", { field: t(`address.field.${missingField.key}`) }));
+      return;
+    }
+    if (!/^\+?[\d\s-]{7,}$/.test(values.phone)) {
+      setAddressMessage(t("address.error.phone"));
+      return;
+    }
+
+    const isFirstAddress = addresses.length === 0;
+    const payload = Object.fromEntries(ADDRESS_FIELDS.map((field) => [field.column, values[field.key] || null]));
+
+    let savedAddress;
+    if (hasSupabaseConfig && supabase) {
+      const request = editingAddressId
+        ? supabase.from("addresses").update(payload).eq("id", editingAddressId)
+        : supabase.from("addresses").insert({ ...payload, user_id: user.id, is_default: isFirstAddress });
+      const { data, error } = await request.select(ADDRESS_SELECT).single();
+
+      if (error) {
+        setAddressMessage(t("address.error.save", { message: error.message }));
+        return;
+      }
+      savedAddress = normalizeAddress(data);
+    } else {
+      const existing = addresses.find((address) => address.id === editingAddressId);
+      savedAddress = normalizeAddress({
+        ...payload,
+        id: editingAddressId || `addr-${Date.now()}`,
+        is_default: existing ? existing.isDefault : isFirstAddress
+      });
+    }
+
+    setAddresses((prev) =>
+      editingAddressId
+        ? prev.map((address) => (address.id === editingAddressId ? savedAddress : address))
+        : [...prev, savedAddress]
+    );
+    setAddressMessage(editingAddressId ? t("address.updated") : t("address.added"));
+    resetAddressForm();
+  };
+
+  const setDefaultAddress = async (addressId) => {
+    setAddressMessage("");
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await supabase.rpc("set_default_address", { address_id: addressId });
+      if (error) {
+        setAddressMessage(t("address.error.setDefault", { message: error.message }));
+        return;
+      }
+    }
+
+    setAddresses((prev) => prev.map((address) => ({ ...address, isDefault: address.id === addressId })));
+    setSelectedAddressId(addressId);
+    setAddressMessage(t("address.defaultUpdated"));
+  };
+
+  const removeAddress = async (addressId) => {
+    setAddressMessage("");
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await supabase.from("addresses").delete().eq("id", addressId);
+      if (error) {
+        setAddressMessage(t("address.error.remove", { message: error.message }));
+        return;
+      }
+    }
+
+    setAddresses((prev) => prev.filter((address) => address.id !== addressId));
+    if (editingAddressId === addressId) {
+      resetAddressForm();
+    }
+    setAddressMessage(t("address.removed"));
+  };
+
+  const addCategory = async (event) => {
+    event.preventDefault();
+    const name = newCategoryName.trim();
+    if (!name) return;
+
+    const exists = categories.some((category) => category.name.toLowerCase() === name.toLowerCase());
+    if (exists) {
+      setAdminMessage(t("admin.categories.exists"));
+      return;
+    }
+
+    let newCategory = { id: `cat-${Date.now()}`, name, taxRate: null };
+    if (hasSupabaseConfig && supabase) {
+      const { data, error } = await supabase.from("categories").insert({ name }).select(CATEGORY_SELECT).single();
+      if (error) {
+        if (error.code === "23505") {
+          setAdminMessage(t("admin.categories.exists"));
+        } else {
+          setAdminMessage(t("admin.categories.error.save", { message: error.message }));
+        }
+        return;
+      }
+
+      newCategory = normalizeCategory(data);
+    }
+
+    setCategories((prev) => [...prev, newCategory].sort((a, b) => a.name.localeCompare(b.name)));
+    setNewProductCategoryId(newCategory.id);
+    setNewCategoryName("");
+    setAdminMessage(t("admin.categories.added"));
+  };
+
+  const removeCategory = async (categoryId) => {
+    const category = categories.find((item) => item.id === categoryId);
+    if (!category) return;
+
+    const hasProducts = products.some((product) => product.categoryId === category.id);
+    if (hasProducts) {
+      setAdminMessage(t("admin.categories.inUse"));
+      return;
+    }
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await supabase.from("categories").delete().eq("id", categoryId);
+      if (error) {
+        setAdminMessage(t("admin.categories.error.remove", { message: error.message }));
+        return;
+      }
+    }
+
+    const remainingCategories = categories.filter((item) => item.id !== categoryId);
+    setCategories(remainingCategories);
+    if (selectedCategoryId === category.id) {
+      setSelectedCategoryId("all");
+    }
+    if (newProductCategoryId === category.id) {
+      setNewProductCategoryId(remainingCategories[0]?.id || "");
+    }
+    setAdminMessage(t("admin.categories.removed"));
+  };
+
+  const startRenamingCategory = (category) => {
+    setRenamingCategoryId(category.id);
+    setCategoryRenameDraft(category.name);
+    setAdminMessage("");
+  };
+
+  const cancelRenamingCategory = () => {
+    setRenamingCategoryId(null);
+    setCategoryRenameDraft("");
+  };
+
+  const renameCategory = async (event) => {
+    event.preventDefault();
+    const category = categories.find((item) => item.id === renamingCategoryId);
+    const name = categoryRenameDraft.trim();
+    if (!category || !name) return;
+
+    if (name === category.name) {
+      cancelRenamingCategory();
+      return;
+    }
+
+    const exists = categories.some((item) => item.id !== category.id && item.name.toLowerCase() === name.toLowerCase());
+    if (exists) {
+      setAdminMessage(t("admin.categories.exists"));
+      return;
+    }
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await supabase.from("categories").update({ name }).eq("id", category.id);
+      if (error) {
+        if (error.code === "23505") {
+          setAdminMessage(t("admin.categories.exists"));
+        } else {
+          setAdminMessage(t("admin.categories.error.rename", { message: error.message }));
+        }
+        return;
+      }
+    }
+
+    setCategories((prev) =>
+      prev.map((item) => (item.id === category.id ? { ...item, name } : item)).sort((a, b) => a.name.localeCompare(b.name))
+    );
+    cancelRenamingCategory();
+    setAdminMessage(t("admin.categories.renamed"));
+  };
+
+  const addProduct = async (event) => {
+    event.preventDefault();
+    const name = newProductName.trim();
+    const description = newProductDescription.trim();
+    const price = Number(newProductPrice);
+    const stock = parseNumberInput(newProductStock);
+
+    if (!hasValidProductFields({ name, categoryId: newProductCategoryId, description, price, stock })) {
+      setAdminMessage(t("admin.products.error.invalidFields"));
+      return;
+    }
+
+    if (newProductImageFile && (!hasSupabaseConfig || !supabase)) {
+      setAdminMessage(t("admin.products.error.uploadNeedsSupabase"));
+      return;
+    }
+
+    let uploadedImageUrl = null;
+    if (newProductImageFile && supabase) {
+      const { url, error: uploadError } = await uploadProductImage(newProductImageFile);
+      if (uploadError) {
+        setAdminMessage(t("error.imageUpload", { message: uploadError.message }));
+        return;
+      }
+      uploadedImageUrl = url;
+    }
+
+    const newProduct = normalizeProduct({
+      id: `p-${Date.now()}`,
+      name,
+      categoryId: newProductCategoryId,
+      price,
+      rating: 0,
+      reviewCount: 0,
+      badge: "New",
+      description,
+      color: "#2563eb",
+      image: uploadedImageUrl,
+      stock
+    });
+
+    if (hasSupabaseConfig && supabase) {
+      const { data, error } = await supabase
+        .from("products")
+        .insert({
+          name,
+          category_id: newProductCategoryId,
+          price,
+          rating: 0,
+          badge: "New",
+          description,
+          color: "#2563eb",
+          image: uploadedImageUrl,
+          stock
+        })
+        .select(PRODUCT_SELECT)
+        .single();
+
+      if (error) {
+        setAdminMessage(t("admin.products.error.save", { message: error.message }));
+        return;
+      }
+
+      setProducts((prev) => [normalizeProduct(data), ...prev]);
+      setCatalogVersion((version) => version + 1);
+    } else {
+      setProducts((prev) => [newProduct, ...prev]);
+    }
+
+    setNewProductName("");
+    setNewProductPrice("");
+    setNewProductDescription("");
+    setNewProductStock("");
+    setNewProductImageFile(null);
+    if (productImageInputRef.current) {
+      productImageInputRef.current.value = "";
+    }
+    setAdminMessage(t("admin.products.added"));
+  };
+
+  const resetProductImport = () => {
+    setProductImport(null);
+    if (productImportInputRef.current) {
+      productImportInputRef.current.value = "";
+    }
+  };
+
+  const previewProductImport = async (file) => {
+    setAdminMessage("");
+    if (!file) {
+      setProductImport(null);
+      return;
+    }
+
+    const { error, rows } = parseProductImport(await file.text(), categories);
+    if (error) {
+      resetProductImport();
+      setAdminMessage(error);
+      return;
+    }
+
+    setProductImport({ fileName: file.name, rows });
+  };
+
+  const importProducts = async () => {
+    if (!productImport) return;
+    const invalidCount = productImport.rows.filter((row) => row.errors.length > 0).length;
+    if (invalidCount > 0) {
+      setAdminMessage(t("admin.import.error.invalidRows", { count: invalidCount }));
+      return;
+    }
+
+    const records = productImport.rows.map((row) => ({
+      name: row.name,
+      category_id: row.categoryId,
+      price: row.price,
+      rating: 0,
+      badge: row.badge || "New",
+      description: row.description,
+      color: "#2563eb",
+      image: row.image || null,
+      stock: row.stock
+    }));
+
+    if (hasSupabaseConfig && supabase) {
+      setImportingProducts(true);
+      // One multi-row insert is a single statement, so if any row is rejected none of them are saved.
+      const { data, error } = await supabase.from("products").insert(records).select(PRODUCT_SELECT);
+      setImportingProducts(false);
+      if (error) {
+        setAdminMessage(t("admin.import.error.failed", { message: error.message }));
+        return;
+      }
+
+      setProducts((prev) => [...(data || []).map(normalizeProduct), ...prev]);
+      setCatalogVersion((version) => version + 1);
+    } else {
+      const importedAt = Date.now();
+      setProducts((prev) => [
+        ...records.map((record, index) => normalizeProduct({ ...record, id: `p-${importedAt}-${index}`, reviewCount: 0 })),
+        ...prev
+      ]);
+    }
+
+    resetProductImport();
+    setAdminMessage(t("admin.import.imported", { count: records.length }));
+  };
+
+  const exportOrdersCsv = async () => {
+    let exportOrders = adminOrders;
+    if (hasSupabaseConfig && supabase) {
+      setExportingCsv(true);
+      const { rows, error } = await fetchAllRows((from, to) => queryAdminOrders(adminOrderFilters, from, to));
+      setExportingCsv(false);
+      if (error) {
+        setAdminMessage(t("admin.export.error.orders", { message: error.message }));
+        return;
+      }
+      exportOrders = rows.map((order) => normalizeOrder(order));
+    }
+
+    downloadCsv(`orders-${toDateInputValue(new Date())}.csv`, [ORDER_CSV_HEADER, ...exportOrders.map(orderCsvRow)]);
+  };
+
+  const exportProductsCsv = async () => {
+    let exportProducts = adminVisibleProducts;
+    if (hasSupabaseConfig && supabase) {
+      setExportingCsv(true);
+      const { rows, error } = await fetchAllRows((from, to) =>
+        queryProducts({ search: debouncedAdminProductSearch }, from, to)
+      );
+      setExportingCsv(false);
+      if (error) {
+        setAdminMessage(t("admin.export.error.products", { message: error.message }));
+        return;
+      }
+      exportProducts = rows.map(normalizeProduct);
+    }
+
+    downloadCsv(`products-${toDateInputValue(new Date())}.csv`, [
+      PRODUCT_CSV_HEADER,
+      ...exportProducts.map((product) => productCsvRow(product, categoryNameById[product.categoryId] || ""))
+    ]);
+  };
+
+  const startEditingProduct = async (product) => {
+    setEditingProductId(product.id);
+    setProductEditDraft({
+      name: product.name,
+      categoryId: product.categoryId,
+      price: String(product.price),
+      description: product.description || "",
+      badge: product.badge || "",
+      color: product.color || "#2563eb"
+    });
+    setProductEditImageFile(null);
+    setProductEditGallery([]);
+    setProductEditGalleryFiles([]);
+    setAdminMessage("");
+
+    if (hasSupabaseConfig && supabase) {
+      const { images, error } = await fetchProductImages(product.id);
+      if (error) {
+        setAdminMessage(t("admin.products.error.loadImages", { message: error.message }));
+        return;
+      }
+      setProductEditGallery(images);
+    }
+  };
+
+  const cancelEditingProduct = () => {
+    setEditingProductId(null);
+    setProductEditDraft(null);
+    setProductEditImageFile(null);
+    setProductEditGallery([]);
+    setProductEditGalleryFiles([]);
+  };
+
+  const removeProductImage = async (image) => {
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await supabase.from("product_images").delete().eq("id", image.id);
+      if (error) {
+        setAdminMessage(t("admin.products.error.removeImage", { message: error.message }));
+        return;
+      }
+      if (image.path) {
+        const { error: storageError } = await supabase.storage.from(PRODUCT_IMAGE_BUCKET).remove([image.path]);
+        if (storageError) {
+          console.error("Failed to delete image file:", storageError.message);
+        }
+      }
+    }
+
+    setProductEditGallery((prev) => prev.filter((item) => item.id !== image.id));
+    setProductImages((prev) => prev.filter((item) => item.id !== image.id));
+    setAdminMessage(t("admin.products.imageRemoved"));
+  };
+
+  const updateProduct = async (event) => {
+    event.preventDefault();
+    if (!editingProductId || !productEditDraft) return;
+
+    const name = productEditDraft.name.trim();
+    const description = productEditDraft.description.trim();
+    const price = Number(productEditDraft.price);
+    const categoryId = productEditDraft.categoryId;
+
+    if (!hasValidProductFields({ name, categoryId, description, price })) {
+      setAdminMessage(t("admin.products.error.invalidFields"));
+      return;
+    }
+
+    if ((productEditImageFile || productEditGalleryFiles.length > 0) && (!hasSupabaseConfig || !supabase)) {
+      setAdminMessage(t("admin.products.error.uploadNeedsSupabase"));
+      return;
+    }
+
+    const changes = {
+      name,
+      category_id: categoryId,
+      price,
+      description,
+      badge: productEditDraft.badge.trim() || null,
+      color: productEditDraft.color || "#2563eb"
+    };
+
+    if (productEditImageFile && supabase) {
+      const { url, error: uploadError } = await uploadProductImage(productEditImageFile);
+      if (uploadError) {
+        setAdminMessage(t("error.imageUpload", { message: uploadError.message }));
+        return;
+      }
+      changes.image = url;
+    }
+
+    if (hasSupabaseConfig && supabase) {
+      const { data, error } = await supabase
+        .from("products")
+        .update(changes)
+        .eq("id", editingProductId)
+        .select(PRODUCT_SELECT)
+        .single();
+
+      if (error) {
+        setAdminMessage(t("admin.products.error.update", { message: error.message }));
+        return;
+      }
+
+      setProducts((prev) => prev.map((product) => (product.id === editingProductId ? normalizeProduct(data) : product)));
+
+      if (productEditGalleryFiles.length > 0) {
+        const nextSortOrder = productEditGallery.reduce((max, image) => Math.max(max, image.sortOrder + 1), 0);
+        const imageRows = [];
+        for (const [index, file] of productEditGalleryFiles.entries()) {
+          const { url, path, error: uploadError } = await uploadProductImage(file);
+          if (uploadError) {
+            setAdminMessage(t("admin.products.error.galleryUpload", { message: uploadError.message }));
+            return;
+          }
+          imageRows.push({ product_id: data.id, image_url: url, storage_path: path, sort_order: nextSortOrder + index });
+        }
+
+        const { error: galleryError } = await supabase.from("product_images").insert(imageRows);
+        if (galleryError) {
+          setAdminMessage(t("admin.products.error.gallerySave", { message: galleryError.message }));
+          return;
+        }
+        setProductImagesVersion((version) => version + 1);
+      }
+    } else {
+      setProducts((prev) =>
+        prev.map((product) => (product.id === editingProductId ? normalizeProduct({ ...product, ...changes }) : product))
+      );
+    }
+
+    cancelEditingProduct();
+    setAdminMessage(t("admin.products.updated"));
+  };
+
+  const removeProduct = async (productId) => {
+    setAdminMessage("");
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await supabase.from("products").delete().eq("id", productId);
+      if (error) {
+        setAdminMessage(t("admin.products.error.remove", { message: error.message }));
+        return;
+      }
+    }
+
+    setProducts((prev) => prev.filter((product) => product.id !== productId));
+    setAdminMessage(t("admin.products.removed"));
+  };
+
+  const updateProductStock = async (productId) => {
+    const draft = stockDrafts[productId];
+    const stock = Number(draft);
+    if (draft === undefined || String(draft).trim() === "" || !Number.isInteger(stock) || stock < 0) {
+      setAdminMessage(t("admin.products.error.stock"));
+      return;
+    }
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await supabase.from("products").update({ stock }).eq("id", productId);
+      if (error) {
+        setAdminMessage(t("admin.products.error.updateStock", { message: error.message }));
+        return;
+      }
+    }
+
+    setProducts((prev) => prev.map((product) => (product.id === productId ? { ...product, stock } : product)));
+    setStockDrafts((prev) => {
+      const next = { ...prev };
+      delete next[productId];
+      return next;
+    });
+    setAdminMessage(t("admin.products.stockUpdated"));
+  };
+
+  const refreshProduct = async (productId) => {
+    if (!hasSupabaseConfig || !supabase) return;
+
+    const { data, error } = await supabase.from("products").select(PRODUCT_SELECT).eq("id", productId).maybeSingle();
+    if (error) {
+      console.error("Failed to refresh product:", error.message);
+      return;
+    }
+    if (data) {
+      setProducts((prev) => prev.map((product) => (product.id === productId ? normalizeProduct(data) : product)));
+    }
+  };
+
+  // Only needed without Supabase; with it, a trigger on reviews keeps products.rating and review_count current.
+  const applyLocalReviewStats = (productId, reviews) => {
+    const stats = summarizeReviews(reviews);
+    setProducts((prev) => prev.map((product) => (product.id === productId ? { ...product, ...stats } : product)));
+  };
+
+  const submitReview = async (event) => {
+    event.preventDefault();
+    if (!routeProduct) return;
+
+    setReviewMessage("");
+    const rating = Number(reviewRating);
+    const comment = reviewComment.trim();
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      setReviewMessage(t("reviews.error.rating"));
+      return;
+    }
+    if (comment.length > REVIEW_MAX_LENGTH) {
+      setReviewMessage(t("reviews.error.tooLong", { max: REVIEW_MAX_LENGTH }));
+      return;
+    }
+    if (!ownReview && !canReviewRouteProduct) {
+      setReviewMessage(t("reviews.error.notOrdered"));
+      return;
+    }
+
+    let savedReview;
+    if (hasSupabaseConfig && supabase) {
+      const request = ownReview
+        ? supabase
+            .from("reviews")
+            .update({ rating, comment, updated_at: new Date().toISOString() })
+            .eq("id", ownReview.id)
+        : supabase.from("reviews").insert({ product_id: routeProduct.id, user_id: user.id, rating, comment });
+      const { data, error } = await request.select(REVIEW_SELECT).single();
+
+      if (error) {
+        if (error.code === "23505") {
+          setReviewMessage(t("reviews.error.duplicate"));
+        } else if (error.code === "42501") {
+          setReviewMessage(t("reviews.error.notOrdered"));
+        } else {
+          setReviewMessage(t("reviews.error.save", { message: error.message }));
+        }
+        return;
+      }
+
+      savedReview = normalizeReview(data);
+    } else {
+      savedReview = normalizeReview({
+        id: ownReview?.id || `r-${Date.now()}`,
+        product_id: routeProduct.id,
+        user_id: user.id,
+        rating,
+        comment,
+        status: ownReview?.status
+      });
+    }
+
+    const nextReviews = ownReview
+      ? productReviews.map((review) => (review.id === savedReview.id ? savedReview : review))
+      : [savedReview, ...productReviews];
+    setProductReviews(nextReviews);
+    if (hasSupabaseConfig && supabase) {
+      await refreshProduct(routeProduct.id);
+    } else {
+      applyLocalReviewStats(routeProduct.id, nextReviews);
+    }
+    setReviewMessage(ownReview ? t("reviews.updated") : t("reviews.thanks"));
+  };
+
+  const moderateReview = async (review, nextStatus) => {
+    if (!canManageCatalog) return;
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } =
+        nextStatus === "deleted"
+          ? await supabase.from("reviews").delete().eq("id", review.id)
+          : await supabase.from("reviews").update({ status: nextStatus }).eq("id", review.id);
+      if (error) {
+        setReviewMessage(t("reviews.error.moderate", { message: error.message }));
+        return;
+      }
+    }
+
+    const nextReviews =
+      nextStatus === "deleted"
+        ? productReviews.filter((item) => item.id !== review.id)
+        : productReviews.map((item) => (item.id === review.id ? { ...item, status: nextStatus } : item));
+    setProductReviews(nextReviews);
+    if (hasSupabaseConfig && supabase) {
+      await refreshProduct(review.productId);
+    } else {
+      applyLocalReviewStats(review.productId, nextReviews);
+    }
+    if (nextStatus === "deleted") {
+      setReviewMessage(t("reviews.deleted"));
+    } else {
+      setReviewMessage(nextStatus === "hidden" ? t("reviews.hidden") : t("reviews.published"));
+    }
+  };
+
+  // Reloads one order after an RPC changed it, falling back to a local patch when Supabase is not configured.
+  const replaceOrder = async (orderId, localPatch) => {
+    if (hasSupabaseConfig && supabase) {
+      const { data, error } = await fetchOrder(orderId);
+      if (error) {
+        console.error("Failed to reload order:", error.message);
+        return;
+      }
+      setOrders((prev) => prev.map((order) => (order.id === String(orderId) ? normalizeOrder(data) : order)));
+      return;
+    }
+
+    setOrders((prev) => prev.map((order) => (order.id === String(orderId) ? { ...order, ...localPatch(order) } : order)));
+  };
+
+  // The orders trigger puts a cancelled order's items back in stock; mirror that locally without Supabase.
+  const restockCancelledOrder = async (order) => {
+    if (hasSupabaseConfig && supabase) {
+      await refreshProductStock(order.lineItems.map((item) => item.productId));
+      return;
+    }
+    if (!order.stockReserved) return;
+
+    const cancelledQtyById = order.lineItems.reduce((acc, item) => {
+      acc[item.productId] = (acc[item.productId] || 0) + item.qty;
+      return acc;
+    }, {});
+    setProducts((prev) =>
+      prev.map((product) =>
+        cancelledQtyById[product.id] ? { ...product, stock: product.stock + cancelledQtyById[product.id] } : product
+      )
+    );
+  };
+
+  const cancelOrder = async (order) => {
+    setOrderMessage("");
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      setOrderMessage(t("orders.error.notCancellable"));
+      return;
+    }
+    if (!window.confirm(t("orders.confirmCancel", { id: order.id }))) return;
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await supabase.rpc("cancel_order", { order_id: order.id });
+      if (error) {
+        setOrderMessage(t("orders.error.cancel", { message: error.message }));
+        return;
+      }
+    }
+    await restockCancelledOrder(order);
+
+    await replaceOrder(order.id, (current) => ({
+      status: "Cancelled",
+      payments: current.payments.map((payment) =>
+        payment.status === "pending" ? { ...confirmLocalPayment(payment, "failed"), failureReason: "Order cancelled" } : payment
+      ),
+      statusHistory: [
+        ...current.statusHistory,
+        normalizeStatusChange({
+          id: `h-${Date.now()}`,
+          fromStatus: current.status,
+          toStatus: "Cancelled",
+          changedAt: new Date().toISOString(),
+          changedByEmail: user.email
+        })
+      ]
+    }));
+    setOrderMessage(t("orders.cancelled"));
+  };
+
+  const startReturnRequest = (orderId) => {
+    setReturnDraftOrderId(orderId);
+    setReturnReason("");
+    setOrderMessage("");
+  };
+
+  const submitReturnRequest = async (event) => {
+    event.preventDefault();
+    const order = orders.find((item) => item.id === returnDraftOrderId);
+    const reason = returnReason.trim();
+    if (!order) return;
+    if (!reason) {
+      setOrderMessage(t("returns.error.reasonRequired"));
+      return;
+    }
+    if (reason.length > RETURN_REASON_MAX_LENGTH) {
+      setOrderMessage(t("returns.error.reasonTooLong", { max: RETURN_REASON_MAX_LENGTH }));
+      return;
+    }
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await supabase.rpc("request_return", { order_id: order.id, reason });
+      if (error) {
+        setOrderMessage(t("returns.error.request", { message: error.message }));
+        return;
+      }
+    }
+
+    await replaceOrder(order.id, () => ({
+      returnRequest: normalizeReturnRequest({ id: `ret-${Date.now()}`, reason, created_at: new Date().toISOString() })
+    }));
+    setReturnDraftOrderId(null);
+    setReturnReason("");
+    setOrderMessage(t("returns.requested"));
+  };
+
+  const resolveReturnRequest = async (order, decision) => {
+    if (!order.returnRequest) return;
+    const adminNote = (returnNotes[order.id] || "").trim();
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await supabase.rpc("resolve_return_request", {
+        request_id: order.returnRequest.id,
+        decision,
+        admin_note: adminNote || null
+      });
+      if (error) {
+        setAdminMessage(t("returns.error.resolve", { message: error.message }));
+        return;
+      }
+    }
+
+    await replaceOrder(order.id, (current) => ({
+      returnRequest: { ...current.returnRequest, status: decision, adminNote, resolvedAt: new Date().toISOString() }
+    }));
+    setReturnNotes((prev) => {
+      const next = { ...prev };
+      delete next[order.id];
+      return next;
+    });
+    setAdminMessage(decision === "Approved" ? t("returns.approved") : t("returns.rejected"));
+  };
+
+  const openBannerCategory = (categoryId) => {
+    setSelectedCategoryId(categories.some((category) => category.id === categoryId) ? categoryId : "all");
+    setSearch("");
+  };
+
+  const renderBannerCta = (banner) => {
+    if (!banner.ctaLabel || banner.ctaType === "none") return null;
+    if (banner.ctaType === "product") {
+      return (
+        <Link className="btn banner-cta" to={productPath(banner.ctaTarget)}>
+          {banner.ctaLabel}
+        </Link>
+      );
+    }
+    if (banner.ctaType === "url") {
+      return (
+        <a className="btn banner-cta" href={banner.ctaTarget} target="_blank" rel="noopener noreferrer">
+          {banner.ctaLabel}
+        </a>
+      );
+    }
+    return (
+      <button className="btn banner-cta" type="button" onClick={() => openBannerCategory(banner.ctaTarget)}>
+        {banner.ctaLabel}
+      </button>
+    );
+  };
+
+  const resetBannerForm = () => {
+    setBannerDraft(EMPTY_BANNER_DRAFT);
+    setBannerImageFile(null);
+    setEditingBannerId(null);
+    if (bannerImageInputRef.current) {
+      bannerImageInputRef.current.value = "";
+    }
+  };
+
+  const startEditingBanner = (banner) => {
+    setEditingBannerId(banner.id);
+    setBannerImageFile(null);
+    setBannerDraft({
+      title: banner.title,
+      subtitle: banner.subtitle,
+      ctaLabel: banner.ctaLabel,
+      ctaType: banner.ctaType,
+      ctaTarget: banner.ctaTarget,
+      sortOrder: String(banner.sortOrder),
+      startsAt: toDateTimeInputValue(banner.startsAt),
+      endsAt: toDateTimeInputValue(banner.endsAt),
+      image: banner.image || ""
     });
-  }, [adminOrderDateFilter, adminOrderSearch, adminOrderSort, adminOrderStatusFilter, isAdmin, orders]);
+    setAdminMessage("");
+  };
 
-  const adminOrderStats = useMemo(() => {
-    if (!isAdmin) {
-      return { totalOrders: 0, pendingOrders: 0, totalRevenue: 0 };
+  const saveBanner = async (event) => {
+    event.preventDefault();
+    const title = bannerDraft.title.trim();
+    const ctaLabel = bannerDraft.ctaLabel.trim();
+    const ctaType = bannerDraft.ctaType;
+    const ctaTarget = ctaType === "none" ? "" : bannerDraft.ctaTarget.trim();
+    const sortOrder = parseNumberInput(bannerDraft.sortOrder);
+    const startsAt = fromDateTimeInputValue(bannerDraft.startsAt);
+    const endsAt = fromDateTimeInputValue(bannerDraft.endsAt);
+
+    if (!title) {
+      setAdminMessage(t("admin.banners.error.title"));
+      return;
+    }
+    if (ctaType !== "none" && (!ctaLabel || !ctaTarget)) {
+      setAdminMessage(t("admin.banners.error.cta"));
+      return;
+    }
+    if (ctaType === "url" && !/^https?:\/\//i.test(ctaTarget)) {
+      setAdminMessage(t("admin.banners.error.url"));
+      return;
+    }
+    if (!Number.isInteger(sortOrder)) {
+      setAdminMessage(t("admin.banners.error.sortOrder"));
+      return;
+    }
+    if (startsAt && endsAt && startsAt >= endsAt) {
+      setAdminMessage(t("admin.banners.error.window"));
+      return;
+    }
+    if (bannerImageFile && (!hasSupabaseConfig || !supabase)) {
+      setAdminMessage(t("admin.banners.error.uploadNeedsSupabase"));
+      return;
     }
 
-    return {
-      totalOrders: orders.length,
-      pendingOrders: orders.filter((order) => ["Placed", "Processing", "Shipped"].includes(order.status)).length,
-      totalRevenue: orders.reduce((sum, order) => sum + order.total, 0)
+    if (ctaType === "product" && hasSupabaseConfig && supabase && !productById.has(ctaTarget)) {
+      const { data, error } = await supabase.from("products").select("id").eq("id", ctaTarget).maybeSingle();
+      if (error || !data) {
+        setAdminMessage(t("admin.banners.error.product", { id: ctaTarget }));
+        return;
+      }
+    }
+
+    let image = bannerDraft.image || null;
+    if (bannerImageFile) {
+      const { url, error: uploadError } = await uploadProductImage(bannerImageFile, "banners");
+      if (uploadError) {
+        setAdminMessage(t("error.imageUpload", { message: uploadError.message }));
+        return;
+      }
+      image = url;
+    }
+
+    const payload = {
+      title,
+      subtitle: bannerDraft.subtitle.trim(),
+      cta_label: ctaType === "none" ? "" : ctaLabel,
+      cta_type: ctaType,
+      cta_target: ctaTarget || null,
+      image,
+      sort_order: sortOrder,
+      starts_at: startsAt,
+      ends_at: endsAt
     };
-  }, [isAdmin, orders]);
 
-  const adminVisibleProducts = useMemo(() => {
-    const query = adminProductSearch.trim().toLowerCase();
-    if (!query) return products;
-    return products.filter((product) => {
-      return product.name.toLowerCase().includes(query) || product.category.toLowerCase().includes(query);
-    });
-  }, [adminProductSearch, products]);
+    let savedBanner;
+    if (hasSupabaseConfig && supabase) {
+      const request = editingBannerId
+        ? supabase.from("banners").update(payload).eq("id", editingBannerId)
+        : supabase.from("banners").insert(payload);
+      const { data, error } = await request.select(BANNER_SELECT).single();
+      if (error) {
+        setAdminMessage(t("admin.banners.error.save", { message: error.message }));
+        return;
+      }
+      savedBanner = normalizeBanner(data);
+    } else {
+      savedBanner = normalizeBanner({ ...payload, id: editingBannerId || `b-${Date.now()}` });
+    }
 
-  const increaseQty = (id) => {
-    setCartItems((prev) => [...prev, id]);
+    setBanners((prev) =>
+      sortBanners(
+        editingBannerId ? prev.map((banner) => (banner.id === editingBannerId ? savedBanner : banner)) : [...prev, savedBanner]
+      )
+    );
+    setAdminMessage(editingBannerId ? t("admin.banners.updated") : t("admin.banners.added"));
+    resetBannerForm();
   };
 
-  const decreaseQty = (id) => {
-    setCartItems((prev) => {
-      const index = prev.indexOf(id);
-      if (index < 0) return prev;
-      return [...prev.slice(0, index), ...prev.slice(index + 1)];
+  const removeBanner = async (banner) => {
+    if (!window.confirm(t("admin.banners.confirmDelete", { title: banner.title }))) return;
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await supabase.from("banners").delete().eq("id", banner.id);
+      if (error) {
+        setAdminMessage(t("admin.banners.error.delete", { message: error.message }));
+        return;
+      }
+    }
+
+    setBanners((prev) => prev.filter((item) => item.id !== banner.id));
+    if (editingBannerId === banner.id) {
+      resetBannerForm();
+    }
+    setAdminMessage(t("admin.banners.deleted"));
+  };
+
+  const resetCouponForm = () => {
+    setCouponDraft(EMPTY_COUPON_DRAFT);
+    setEditingCouponId(null);
+  };
+
+  const startEditingCoupon = (coupon) => {
+    setEditingCouponId(coupon.id);
+    setCouponDraft({
+      code: coupon.code,
+      discountType: coupon.discountType,
+      discountValue: String(coupon.discountValue),
+      minOrder: String(coupon.minOrder),
+      expiresAt: toDateTimeInputValue(coupon.expiresAt),
+      maxUses: coupon.maxUses === null ? "" : String(coupon.maxUses),
+      maxUsesPerUser: coupon.maxUsesPerUser === null ? "" : String(coupon.maxUsesPerUser),
+      categoryIds: coupon.categoryIds,
+      isActive: coupon.isActive
     });
+    setAdminMessage("");
   };
 
-  const placeOrder = async () => {
-    if (cartSummary.rows.length === 0) return;
+  const toggleCouponCategory = (categoryId) => {
+    setCouponDraft((prev) => ({
+      ...prev,
+      categoryIds: prev.categoryIds.includes(categoryId)
+        ? prev.categoryIds.filter((id) => id !== categoryId)
+        : [...prev.categoryIds, categoryId]
+    }));
+  };
 
-    setOrderMessage("");
-    const orderDraft = {
-      status: "Placed",
-      date: new Date().toISOString().slice(0, 10),
-      total: cartSummary.subtotal,
-      items: cartSummary.rows.reduce((sum, row) => sum + row.qty, 0),
-      userId: user.id,
-      userEmail: user.email
+  const saveCoupon = async (event) => {
+    event.preventDefault();
+    const code = normalizeCouponCode(couponDraft.code);
+    const discountValue = parseNumberInput(couponDraft.discountValue);
+    const minOrder = parseNumberInput(couponDraft.minOrder || "0");
+    const maxUses = couponDraft.maxUses === "" ? null : parseNumberInput(couponDraft.maxUses);
+    const maxUsesPerUser = couponDraft.maxUsesPerUser === "" ? null : parseNumberInput(couponDraft.maxUsesPerUser);
+
+    if (!COUPON_CODE_PATTERN.test(code)) {
+      setAdminMessage(t("admin.coupons.error.code"));
+      return;
+    }
+    if (!Number.isFinite(discountValue) || discountValue <= 0) {
+      setAdminMessage(t("admin.coupons.error.discount"));
+      return;
+    }
+    if (couponDraft.discountType === "percent" && discountValue > 100) {
+      setAdminMessage(t("admin.coupons.error.percent"));
+      return;
+    }
+    if (!Number.isFinite(minOrder) || minOrder < 0) {
+      setAdminMessage(t("admin.coupons.error.minOrder"));
+      return;
+    }
+    if ([maxUses, maxUsesPerUser].some((limit) => limit !== null && !(Number.isInteger(limit) && limit > 0))) {
+      setAdminMessage(t("admin.coupons.error.limits"));
+      return;
+    }
+    if (coupons.some((coupon) => coupon.code === code && coupon.id !== editingCouponId)) {
+      setAdminMessage(t("admin.coupons.error.exists", { code }));
+      return;
+    }
+
+    const payload = {
+      code,
+      discount_type: couponDraft.discountType,
+      discount_value: discountValue,
+      min_order: minOrder,
+      expires_at: fromDateTimeInputValue(couponDraft.expiresAt),
+      max_uses: maxUses,
+      max_uses_per_user: maxUsesPerUser,
+      category_ids: couponDraft.categoryIds,
+      is_active: couponDraft.isActive
     };
 
+    let savedCoupon;
     if (hasSupabaseConfig && supabase) {
-      const { data, error } = await supabase
-        .from("orders")
-        .insert({
-          user_id: user.id,
-          status: orderDraft.status,
-          order_date: orderDraft.date,
-          total: orderDraft.total,
-          items_count: orderDraft.items
-        })
-        .select("id, user_id, status, order_date, total, items_count, profiles:user_id(email)")
-        .single();
+      const request = editingCouponId
+        ? supabase.from("coupons").update(payload).eq("id", editingCouponId)
+        : supabase.from("coupons").insert(payload);
+      const { data, error } = await request.select(COUPON_SELECT).single();
+      if (error) {
+        setAdminMessage(t("admin.coupons.error.save", { message: error.message }));
+        return;
+      }
+      savedCoupon = normalizeCoupon(data);
+    } else {
+      savedCoupon = normalizeCoupon({ ...payload, id: editingCouponId || `c-${Date.now()}` });
+    }
+
+    setCoupons((prev) =>
+      editingCouponId ? prev.map((coupon) => (coupon.id === editingCouponId ? savedCoupon : coupon)) : [savedCoupon, ...prev]
+    );
+    setAdminMessage(editingCouponId ? t("admin.coupons.updated", { code }) : t("admin.coupons.added", { code }));
+    resetCouponForm();
+  };
 
+  const deleteCoupon = async (coupon) => {
+    if (!window.confirm(t("admin.coupons.confirmDelete", { code: coupon.code }))) return;
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await supabase.from("coupons").delete().eq("id", coupon.id);
       if (error) {
-        setOrderMessage(`Failed to place order: ${error.message}`);
+        setAdminMessage(t("admin.coupons.error.delete", { message: error.message }));
         return;
       }
+    }
 
-      setOrders((prev) => [normalizeOrder(data, { userId: user.id, userEmail: user.email }), ...prev]);
-    } else {
-      const localOrder = normalizeOrder(
-        {
-          id: `o-${Date.now().toString().slice(-6)}`,
-          status: orderDraft.status,
-          date: orderDraft.date,
-          total: orderDraft.total,
-          items: orderDraft.items
-        },
-        { userId: user.id, userEmail: user.email }
-      );
-      setOrders((prev) => [localOrder, ...prev]);
+    setCoupons((prev) => prev.filter((item) => item.id !== coupon.id));
+    if (editingCouponId === coupon.id) {
+      resetCouponForm();
     }
+    setAdminMessage(t("admin.coupons.deleted", { code: coupon.code }));
+  };
 
-    setCartItems([]);
-    setOrderMessage("Order placed successfully.");
-    setActiveTab("orders");
+  const describeCouponRules = (coupon) => {
+    const rules = [];
+    if (coupon.minOrder > 0) rules.push(t("admin.coupons.rule.minOrder", { amount: formatDisplayCurrency(coupon.minOrder) }));
+    if (coupon.categoryIds.length > 0) {
+      rules.push(coupon.categoryIds.map((id) => categoryNameById[id] || t("admin.coupons.missingCategory")).join(", "));
+    }
+    if (coupon.maxUses !== null) rules.push(t("admin.coupons.rule.maxUses", { count: coupon.maxUses }));
+    if (coupon.maxUsesPerUser !== null) rules.push(t("admin.coupons.rule.maxUsesPerUser", { count: coupon.maxUsesPerUser }));
+    if (coupon.expiresAt) {
+      const expired = new Date(coupon.expiresAt).getTime() <= Date.now();
+      const date = new Date(coupon.expiresAt).toLocaleString();
+      rules.push(expired ? t("admin.coupons.rule.expired", { date }) : t("admin.coupons.rule.expires", { date }));
+    }
+    return rules.join(" • ");
   };
 
-  const addCategory = async (event) => {
+  const pricingForm = pricingDraft || {
+    defaultTaxRate: String(storeSettings.defaultTaxRate),
+    shippingFee: String(storeSettings.shippingFee),
+    freeShippingThreshold: storeSettings.freeShippingThreshold === null ? "" : String(storeSettings.freeShippingThreshold)
+  };
+
+  const categoryTaxInputValue = (category) =>
+    categoryTaxDrafts[category.id] ?? (category.taxRate === null ? "" : String(category.taxRate));
+
+  const isValidTaxRate = (rate) => Number.isFinite(rate) && rate >= 0 && rate <= 100;
+
+  const savePricingSettings = async (event) => {
     event.preventDefault();
-    const name = newCategoryName.trim();
-    if (!name) return;
+    const defaultTaxRate = parseNumberInput(pricingForm.defaultTaxRate);
+    const shippingFee = parseNumberInput(pricingForm.shippingFee);
+    const freeShippingThreshold =
+      pricingForm.freeShippingThreshold.trim() === "" ? null : parseNumberInput(pricingForm.freeShippingThreshold);
 
-    const exists = categories.some((category) => category.name.toLowerCase() === name.toLowerCase());
-    if (exists) {
-      setAdminMessage("Category already exists.");
+    if (!isValidTaxRate(defaultTaxRate)) {
+      setAdminMessage(t("admin.pricing.error.defaultTaxRate"));
+      return;
+    }
+    if (!Number.isFinite(shippingFee) || shippingFee < 0) {
+      setAdminMessage(t("admin.pricing.error.shippingFee"));
+      return;
+    }
+    if (freeShippingThreshold !== null && !(Number.isFinite(freeShippingThreshold) && freeShippingThreshold >= 0)) {
+      setAdminMessage(t("admin.pricing.error.freeShipping"));
       return;
     }
 
+    const changedCategories = [];
+    for (const category of categories) {
+      const value = categoryTaxInputValue(category).trim();
+      const taxRate = value === "" ? null : parseNumberInput(value);
+      if (taxRate !== null && !isValidTaxRate(taxRate)) {
+        setAdminMessage(t("admin.pricing.error.categoryTaxRate", { category: category.name }));
+        return;
+      }
+      if (taxRate !== category.taxRate) {
+        changedCategories.push({ id: category.id, taxRate });
+      }
+    }
+
+    const nextSettings = { ...storeSettings, defaultTaxRate, shippingFee, freeShippingThreshold };
     if (hasSupabaseConfig && supabase) {
-      const { data, error } = await supabase.from("categories").insert({ name }).select("id, name").single();
+      const { error } = await supabase
+        .from("store_settings")
+        .update({
+          default_tax_rate: defaultTaxRate,
+          shipping_fee: shippingFee,
+          free_shipping_threshold: freeShippingThreshold,
+          updated_at: new Date().toISOString()
+        })
+        .eq("id", true);
       if (error) {
-        if (error.code === "23505") {
-          setAdminMessage("Category already exists.");
-        } else {
-          setAdminMessage(`Failed to save category in Supabase: ${error.message}`);
-        }
+        setAdminMessage(t("admin.pricing.error.save", { message: error.message }));
         return;
       }
 
-      setCategories((prev) => [...prev, normalizeCategory(data)].sort((a, b) => a.name.localeCompare(b.name)));
-    } else {
-      const newCategory = { id: `cat-${Date.now()}`, name };
-      setCategories((prev) => [...prev, newCategory].sort((a, b) => a.name.localeCompare(b.name)));
+      const results = await Promise.all(
+        changedCategories.map((category) =>
+          supabase.from("categories").update({ tax_rate: category.taxRate }).eq("id", category.id)
+        )
+      );
+      const failed = results.find((result) => result.error);
+      if (failed) {
+        setAdminMessage(t("admin.pricing.error.categorySave", { message: failed.error.message }));
+        return;
+      }
     }
 
-    setNewProductCategory(name);
-    setNewCategoryName("");
-    setAdminMessage("Category added.");
+    const taxRateById = new Map(changedCategories.map((category) => [category.id, category.taxRate]));
+    setStoreSettings(nextSettings);
+    setCategories((prev) =>
+      prev.map((category) => (taxRateById.has(category.id) ? { ...category, taxRate: taxRateById.get(category.id) } : category))
+    );
+    setPricingDraft(null);
+    setCategoryTaxDrafts({});
+    setAdminMessage(t("admin.pricing.saved"));
   };
 
-  const removeCategory = async (categoryId) => {
-    const category = categories.find((item) => item.id === categoryId);
-    if (!category) return;
+  const describeLocale = (locale) => LOCALE_OPTIONS.find((option) => option.value === locale)?.label || locale;
 
-    const hasProducts = products.some((product) => product.category === category.name);
-    if (hasProducts) {
-      setAdminMessage("Cannot delete a category that is used by existing products.");
-      return;
-    }
+  const currencyDefaultsForm = currencyDefaultsDraft || {
+    defaultCurrency: storeSettings.defaultCurrency,
+    defaultLocale: storeSettings.defaultLocale
+  };
+
+  const saveCurrencyDefaults = async (event) => {
+    event.preventDefault();
+    const { defaultCurrency, defaultLocale } = currencyDefaultsForm;
 
     if (hasSupabaseConfig && supabase) {
-      const { error } = await supabase.from("categories").delete().eq("id", categoryId);
+      const { error } = await supabase
+        .from("store_settings")
+        .update({ default_currency: defaultCurrency, default_locale: defaultLocale, updated_at: new Date().toISOString() })
+        .eq("id", true);
       if (error) {
-        setAdminMessage(`Failed to remove category: ${error.message}`);
+        setAdminMessage(t("admin.currencies.error.saveDefault", { message: error.message }));
         return;
       }
     }
 
-    const remainingCategories = categories.filter((item) => item.id !== categoryId);
-    setCategories(remainingCategories);
-    if (selectedCategory === category.name) {
-      setSelectedCategory("All");
-    }
-    if (newProductCategory === category.name) {
-      setNewProductCategory(remainingCategories[0]?.name || "");
-    }
-    setAdminMessage("Category removed.");
+    setStoreSettings((prev) => ({ ...prev, defaultCurrency, defaultLocale }));
+    setCurrencyDefaultsDraft(null);
+    setAdminMessage(t("admin.currencies.defaultSaved", { currency: defaultCurrency, locale: describeLocale(defaultLocale) }));
   };
 
-  const addProduct = async (event) => {
+  const resetExchangeRateForm = () => {
+    setExchangeRateDraft(EMPTY_EXCHANGE_RATE_DRAFT);
+    setEditingExchangeRateCurrency(null);
+  };
+
+  const startEditingExchangeRate = (exchangeRate) => {
+    setEditingExchangeRateCurrency(exchangeRate.currency);
+    setExchangeRateDraft({ currency: exchangeRate.currency, rate: String(exchangeRate.rate) });
+  };
+
+  const saveExchangeRate = async (event) => {
     event.preventDefault();
-    const name = newProductName.trim();
-    const description = newProductDescription.trim();
-    const price = Number(newProductPrice);
+    const currency = editingExchangeRateCurrency || exchangeRateDraft.currency.trim().toUpperCase();
+    const rate = parseNumberInput(exchangeRateDraft.rate);
 
-    if (!name || !newProductCategory || !description || !Number.isFinite(price) || price <= 0) {
-      setAdminMessage("Fill all product fields with valid values.");
+    if (!CURRENCY_CODE_PATTERN.test(currency)) {
+      setAdminMessage(t("admin.currencies.error.code"));
       return;
     }
-
-    if (newProductImageFile && (!hasSupabaseConfig || !supabase)) {
-      setAdminMessage("Supabase must be configured to upload product images.");
+    if (currency === BASE_CURRENCY) {
+      setAdminMessage(t("admin.currencies.error.base", { currency: BASE_CURRENCY }));
+      return;
+    }
+    if (!Number.isFinite(rate) || rate <= 0) {
+      setAdminMessage(t("admin.currencies.error.rate"));
+      return;
+    }
+    if (!editingExchangeRateCurrency && exchangeRates.some((row) => row.currency === currency)) {
+      setAdminMessage(t("admin.currencies.error.exists", { currency }));
       return;
     }
 
-    let uploadedImageUrl = null;
-    if (newProductImageFile && supabase) {
-      const extension = newProductImageFile.name.split(".").pop()?.toLowerCase() || "jpg";
-      const safeExtension = extension.replace(/[^a-z0-9]/g, "") || "jpg";
-      const imagePath = `products/${Date.now()}-${Math.random().toString(36).slice(2)}.${safeExtension}`;
-      const { error: uploadError } = await supabase.storage
-        .from(PRODUCT_IMAGE_BUCKET)
-        .upload(imagePath, newProductImageFile, { cacheControl: "3600", upsert: false });
+    const payload = { currency, rate, updated_at: new Date().toISOString() };
 
-      if (uploadError) {
-        setAdminMessage(`Image upload failed: ${uploadError.message}`);
+    let savedRate;
+    if (hasSupabaseConfig && supabase) {
+      const request = editingExchangeRateCurrency
+        ? supabase
+            .from("exchange_rates")
+            .update({ rate, updated_at: payload.updated_at })
+            .eq("currency", editingExchangeRateCurrency)
+        : supabase.from("exchange_rates").insert(payload);
+      const { data, error } = await request.select(EXCHANGE_RATE_SELECT).single();
+      if (error) {
+        setAdminMessage(t("admin.currencies.error.save", { message: error.message }));
         return;
       }
-
-      const { data: publicUrlData } = supabase.storage.from(PRODUCT_IMAGE_BUCKET).getPublicUrl(imagePath);
-      uploadedImageUrl = publicUrlData?.publicUrl || null;
+      savedRate = normalizeExchangeRate(data);
+    } else {
+      savedRate = normalizeExchangeRate(payload);
     }
 
-    const newProduct = normalizeProduct({
-      id: `p-${Date.now()}`,
-      name,
-      category: newProductCategory,
-      price,
-      rating: 4.5,
-      badge: "New",
-      description,
-      color: "#2563eb",
-      image: uploadedImageUrl
-    });
+    setExchangeRates((prev) => sortExchangeRates([...prev.filter((row) => row.currency !== currency), savedRate]));
+    setAdminMessage(
+      editingExchangeRateCurrency ? t("admin.currencies.updated", { currency }) : t("admin.currencies.added", { currency })
+    );
+    resetExchangeRateForm();
+  };
 
-    if (hasSupabaseConfig && supabase) {
-      const { data, error } = await supabase
-        .from("products")
-        .insert({
-          name,
-          category: newProductCategory,
-          price,
-          rating: 4.5,
-          badge: "New",
-          description,
-          color: "#2563eb",
-          image: uploadedImageUrl
-        })
-        .select("id, name, category, price, rating, badge, description, color, image")
-        .single();
+  const deleteExchangeRate = async (exchangeRate) => {
+    if (exchangeRate.currency === storeSettings.defaultCurrency) {
+      setAdminMessage(t("admin.currencies.error.removeDefault", { currency: exchangeRate.currency }));
+      return;
+    }
+    if (!window.confirm(t("admin.currencies.confirmRemove", { currency: exchangeRate.currency }))) return;
 
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await supabase.from("exchange_rates").delete().eq("currency", exchangeRate.currency);
       if (error) {
-        setAdminMessage(`Failed to save product in Supabase: ${error.message}`);
+        setAdminMessage(t("admin.currencies.error.remove", { currency: exchangeRate.currency, message: error.message }));
         return;
       }
+    }
 
-      setProducts((prev) => [normalizeProduct(data), ...prev]);
-    } else {
-      setProducts((prev) => [newProduct, ...prev]);
+    setExchangeRates((prev) => prev.filter((row) => row.currency !== exchangeRate.currency));
+    if (editingExchangeRateCurrency === exchangeRate.currency) {
+      resetExchangeRateForm();
     }
+    setAdminMessage(t("admin.currencies.removed", { currency: exchangeRate.currency }));
+  };
 
-    setNewProductName("");
-    setNewProductPrice("");
-    setNewProductDescription("");
-    setNewProductImageFile(null);
-    if (productImageInputRef.current) {
-      productImageInputRef.current.value = "";
+  const preferencesForm = preferencesDraft || preferences;
+
+  const savePreferences = async (event) => {
+    event.preventDefault();
+    const nextPreferences = { ...preferences, currency: preferencesForm.currency, locale: preferencesForm.locale };
+
+    if (hasSupabaseConfig && supabase) {
+      const { error } = await supabase
+        .from("profiles")
+        .update({ currency: nextPreferences.currency || null, locale: nextPreferences.locale || null })
+        .eq("id", user.id);
+      if (error) {
+        setPreferencesMessage(t("profile.preferences.error.save", { message: error.message }));
+        return;
+      }
+    } else {
+      writeStoredPreferences(user.id, nextPreferences);
     }
-    setAdminMessage("Product added successfully.");
+
+    setPreferences(nextPreferences);
+    setPreferencesDraft(null);
+    setPreferencesMessage(t("profile.preferences.saved"));
   };
 
-  const removeProduct = async (productId) => {
-    setAdminMessage("");
+  // Switches straight away, then saves the choice so it follows the user to other devices.
+  const changeLanguage = async (nextLanguage) => {
+    if (!isSupportedLanguage(nextLanguage)) return;
+    try {
+      await setLanguage(nextLanguage);
+    } catch (error) {
+      setPreferencesMessage(t("profile.language.error.load", { message: error.message }));
+      return;
+    }
 
     if (hasSupabaseConfig && supabase) {
-      const { error } = await supabase.from("products").delete().eq("id", productId);
+      const { error } = await supabase.from("profiles").update({ language: nextLanguage }).eq("id", user.id);
       if (error) {
-        setAdminMessage(`Failed to remove product: ${error.message}`);
+        setPreferencesMessage(t("profile.language.error.save", { message: error.message }));
         return;
       }
+    } else {
+      writeStoredPreferences(user.id, { ...preferences, language: nextLanguage });
+    }
+
+    setPreferences((prev) => ({ ...prev, language: nextLanguage }));
+    setPreferencesMessage(t("profile.language.saved"));
+  };
+
+  const describeBannerWindow = (banner) => {
+    const now = Date.now();
+    if (banner.startsAt && new Date(banner.startsAt).getTime() > now) {
+      return t("admin.banners.window.scheduled", { date: new Date(banner.startsAt).toLocaleString() });
+    }
+    if (banner.endsAt && new Date(banner.endsAt).getTime() <= now) {
+      return t("admin.banners.window.ended", { date: new Date(banner.endsAt).toLocaleString() });
+    }
+    return banner.endsAt
+      ? t("admin.banners.window.liveUntil", { date: new Date(banner.endsAt).toLocaleString() })
+      : t("admin.banners.window.live");
+  };
+
+  const changeUserRole = async (profile, nextRole) => {
+    if (!hasSupabaseConfig || !supabase || profile.role === nextRole) return;
+    const isSelf = profile.id === user.id;
+    const prompt = isSelf
+      ? t("admin.users.confirmOwnRoleChange", { role: t(ROLE_LABEL_KEYS[nextRole]) })
+      : t("admin.users.confirmRoleChange", { email: profile.email, role: t(ROLE_LABEL_KEYS[nextRole]) });
+    if (!window.confirm(prompt)) return;
+
+    setChangingRoleUserId(profile.id);
+    const { error } = await supabase.rpc("set_user_role", { target_user_id: profile.id, new_role: nextRole });
+    setChangingRoleUserId(null);
+    if (error) {
+      setAdminMessage(t("admin.users.error.changeRole", { message: error.message }));
+      return;
     }
 
-    setProducts((prev) => prev.filter((product) => product.id !== productId));
-    setAdminMessage("Product removed.");
+    if (isSelf) {
+      // The role is read once at sign-in, so reload to pick up the new permissions.
+      window.location.assign("/products");
+      return;
+    }
+
+    setUsersVersion((version) => version + 1);
+    setAdminMessage(t("admin.users.roleChanged", { email: profile.email, role: t(ROLE_LABEL_KEYS[nextRole]) }));
   };
 
   const updateOrderStatus = async (orderId, nextStatus) => {
-    if (!ORDER_STATUSES.includes(nextStatus)) return;
+    const order = orders.find((item) => item.id === String(orderId));
+    if (!order || !ORDER_STATUSES.includes(nextStatus) || nextStatus === order.status) return;
+    if (!ORDER_STATUS_TRANSITIONS[order.status].includes(nextStatus)) {
+      setAdminMessage(
+        t("admin.orders.error.transition", {
+          from: t(ORDER_STATUS_LABEL_KEYS[order.status]),
+          to: t(ORDER_STATUS_LABEL_KEYS[nextStatus])
+        })
+      );
+      return;
+    }
+    if (!nextOrderStatuses(order).includes(nextStatus)) {
+      setAdminMessage(t("admin.orders.error.unpaid", { id: order.id }));
+      return;
+    }
 
+    let updatedOrder;
     if (hasSupabaseConfig && supabase) {
       const { error } = await supabase.from("orders").update({ status: nextStatus }).eq("id", orderId);
       if (error) {
-        setAdminMessage(`Failed to update order status: ${error.message}`);
+        setAdminMessage(t("admin.orders.error.updateStatus", { message: error.message }));
         return;
       }
+
+      const { data, error: fetchError } = await fetchOrder(orderId);
+      if (fetchError) {
+        console.error("Failed to reload order:", fetchError.message);
+      }
+      updatedOrder = data ? normalizeOrder(data) : { ...order, status: nextStatus };
+    } else {
+      const change = normalizeStatusChange({
+        id: `h-${Date.now()}`,
+        fromStatus: order.status,
+        toStatus: nextStatus,
+        changedAt: new Date().toISOString(),
+        changedByEmail: user.email
+      });
+      updatedOrder = {
+        ...order,
+        status: nextStatus,
+        payments:
+          nextStatus === "Cancelled"
+            ? order.payments.map((payment) =>
+                payment.status === "pending"
+                  ? { ...confirmLocalPayment(payment, "failed"), failureReason: "Order cancelled" }
+                  : payment
+              )
+            : order.payments,
+        statusHistory: [...order.statusHistory, change]
+      };
     }
 
-    setOrders((prev) => prev.map((order) => (order.id === String(orderId) ? { ...order, status: nextStatus } : order)));
-    setAdminMessage("Order status updated.");
+    if (nextStatus === "Cancelled") {
+      await restockCancelledOrder(order);
+    }
+    setOrders((prev) => prev.map((item) => (item.id === updatedOrder.id ? updatedOrder : item)));
+    setAdminOrdersVersion((version) => version + 1);
+    setAdminMessage(t("admin.orders.statusUpdated"));
   };
 
   return (
@@ -623,33 +4338,162 @@ function Storefront({ user, userRole, onLogout }) {
       <header className="top-header">
         <div>
           <h1>Streamline</h1>
-          <p>Simple Product Ordering</p>
+          <p>{t("app.tagline")}</p>
         </div>
         <button className="btn btn-mini" onClick={onLogout} type="button">
-          Logout
+          {t("app.logout")}
         </button>
       </header>
 
       <section className="store-content">
-        {activeTab === "products" && (
+        {cartMessage && (
+          <p className="status">
+            {cartMessage}{" "}
+            <button className="link-btn" type="button" onClick={() => setCartMessage("")}>
+              {t("common.dismiss")}
+            </button>
+          </p>
+        )}
+
+        {activeTab === "products" && route?.productId && (
+          <section className="section-block">
+            <Link className="link-btn" to="/products">
+              ← {t("products.back")}
+            </Link>
+            {routeProduct ? (
+              <ProductDetail
+                key={routeProduct.id}
+                product={routeProduct}
+                images={productImages}
+                money={displayMoney}
+                quantity={cartQtyById[routeProduct.id] || 0}
+                onIncrease={increaseQty}
+                onDecrease={decreaseQty}
+              />
+            ) : (
+              <p className="empty-state">
+                {!hasSupabaseConfig || !supabase || missingProductId === routeProductId
+                  ? t("products.notFound")
+                  : t("products.loadingOne")}
+              </p>
+            )}
+            {routeProduct && (
+              <section className="review-section">
+                <h3>{t("reviews.title")}</h3>
+                {(ownReview || canReviewRouteProduct) && (
+                  <form className="form-block" onSubmit={submitReview}>
+                    <label htmlFor="review-rating">{ownReview ? t("reviews.updateRating") : t("reviews.yourRating")}</label>
+                    <select id="review-rating" value={reviewRating} onChange={(event) => setReviewRating(event.target.value)}>
+                      {[5, 4, 3, 2, 1].map((value) => (
+                        <option key={value} value={value}>
+                          {"★".repeat(value)} ({value})
+                        </option>
+                      ))}
+                    </select>
+                    <label htmlFor="review-comment">{t("reviews.comment")}</label>
+                    <textarea
+                      id="review-comment"
+                      rows={3}
+                      maxLength={REVIEW_MAX_LENGTH}
+                      value={reviewComment}
+                      placeholder={t("reviews.commentPlaceholder")}
+                      onChange={(event) => setReviewComment(event.target.value)}
+                    />
+                    <button className="btn" type="submit">
+                      {ownReview ? t("reviews.update") : t("reviews.submit")}
+                    </button>
+                    {ownReview?.status === "hidden" && (
+                      <p className="muted">{t("reviews.hiddenNotice")}</p>
+                    )}
+                  </form>
+                )}
+                <div className="order-list">
+                  {visibleReviews.map((review) => (
+                    <article key={review.id} className={review.status === "hidden" ? "review-row hidden" : "review-row"}>
+                      <div className="section-title-row">
+                        <strong className="product-rating">{"★".repeat(review.rating)}</strong>
+                        <span className="muted">
+                          {review.userId === user.id ? t("reviews.you") : t("reviews.verifiedBuyer")} • {review.date}
+                        </span>
+                      </div>
+                      {review.comment && <p>{review.comment}</p>}
+                      {canManageCatalog && (
+                        <div className="form-actions">
+                          <button
+                            className="btn btn-ghost btn-mini"
+                            type="button"
+                            onClick={() => moderateReview(review, review.status === "hidden" ? "published" : "hidden")}
+                          >
+                            {review.status === "hidden" ? t("reviews.publish") : t("reviews.hide")}
+                          </button>
+                          <button
+                            className="btn btn-danger btn-mini"
+                            type="button"
+                            onClick={() => moderateReview(review, "deleted")}
+                          >
+                            {t("common.delete")}
+                          </button>
+                        </div>
+                      )}
+                    </article>
+                  ))}
+                  {visibleReviews.length === 0 && <p className="empty-state">{t("reviews.empty")}</p>}
+                </div>
+                {reviewMessage && <p className="status">{reviewMessage}</p>}
+              </section>
+            )}
+            {relatedProducts.length > 0 && (
+              <>
+                <h3>{t("products.moreIn", { category: routeProduct.category })}</h3>
+                <div className="product-list">
+                  {relatedProducts.map((product) => (
+                    <ProductCard
+                      key={product.id}
+                      product={product}
+                      money={displayMoney}
+                      quantity={cartQtyById[product.id] || 0}
+                      onIncrease={increaseQty}
+                      onDecrease={decreaseQty}
+                    />
+                  ))}
+                </div>
+              </>
+            )}
+          </section>
+        )}
+
+        {activeTab === "products" && !route?.productId && (
           <>
+            <BannerCarousel banners={activeBanners} renderCta={renderBannerCta} />
+
             <section className="search-panel">
               <input
                 type="search"
-                placeholder="Search products"
+                placeholder={t("products.searchPlaceholder")}
                 value={search}
                 onChange={(event) => setSearch(event.target.value)}
               />
+              <select
+                aria-label={t("products.sortLabel")}
+                value={productSort}
+                onChange={(event) => setProductSort(event.target.value)}
+              >
+                {Object.entries(PRODUCT_SORTS).map(([value, option]) => (
+                  <option key={value} value={value}>
+                    {t(option.labelKey)}
+                  </option>
+                ))}
+              </select>
             </section>
 
-            <div className="chip-row" role="tablist" aria-label="Categories">
+            <div className="chip-row" role="tablist" aria-label={t("products.categoriesLabel")}>
               {categoriesLoading
                 ? Array.from({ length: 5 }).map((_, index) => <span key={index} className="chip-skeleton" aria-hidden="true" />)
                 : categoryOptions.map((category) => (
                     <button
                       key={category.id}
-                      className={selectedCategory === category.name ? "chip active" : "chip"}
-                      onClick={() => setSelectedCategory(category.name)}
+                      className={selectedCategoryId === category.id ? "chip active" : "chip"}
+                      onClick={() => setSelectedCategoryId(category.id)}
                       type="button"
                     >
                       {category.name}
@@ -658,7 +4502,7 @@ function Storefront({ user, userRole, onLogout }) {
             </div>
 
             <div className="product-list">
-              {productsLoading
+              {productsLoading && filteredProducts.length === 0
                 ? Array.from({ length: 6 }).map((_, index) => (
                     <article key={index} className="product-card product-card-skeleton" aria-hidden="true">
                       <div className="product-media skeleton-block" />
@@ -674,28 +4518,46 @@ function Storefront({ user, userRole, onLogout }) {
                     <ProductCard
                       key={product.id}
                       product={product}
+                      money={displayMoney}
                       quantity={cartQtyById[product.id] || 0}
                       onIncrease={increaseQty}
                       onDecrease={decreaseQty}
                     />
                   ))}
-              {!productsLoading && filteredProducts.length === 0 && <p className="empty-state">No products found.</p>}
+              {!productsLoading && filteredProducts.length === 0 && <p className="empty-state">{t("products.empty")}</p>}
             </div>
+            {storefrontProductList.hasMore && filteredProducts.length > 0 && (
+              <div className="load-more-row">
+                <button
+                  className="btn btn-ghost"
+                  type="button"
+                  onClick={storefrontProductList.loadMore}
+                  disabled={storefrontProductList.loading}
+                >
+                  {storefrontProductList.loading ? t("common.loading") : t("products.loadMore")}
+                </button>
+              </div>
+            )}
           </>
         )}
 
         {activeTab === "cart" && (
           <section className="section-block">
             <div className="section-title-row">
-              <h2>Cart</h2>
-              <span>{cartSummary.rows.length} products</span>
+              <h2>{t("cart.title")}</h2>
+              <span>{t("cart.productCount", { count: cartSummary.rows.length })}</span>
             </div>
             <div className="cart-list">
               {cartSummary.rows.map((item) => (
                 <article key={item.id} className="cart-row">
                   <div>
                     <h3>{item.name}</h3>
-                    <p>{formatCurrency(item.price)}</p>
+                    <p>{formatCurrency(item.price, displayMoney)}</p>
+                    {item.qty > item.stock && (
+                      <p className="stock-warning">
+                        {item.stock > 0 ? t("cart.onlyLeftInStock", { count: item.stock }) : t("product.outOfStock")}
+                      </p>
+                    )}
                   </div>
                   <div className="cart-right">
                     <div className="qty-row">
@@ -703,161 +4565,1092 @@ function Storefront({ user, userRole, onLogout }) {
                         -
                       </button>
                       <span>{item.qty}</span>
-                      <button className="btn btn-ghost qty-btn" onClick={() => increaseQty(item.id)} type="button">
+                      <button
+                        className="btn btn-ghost qty-btn"
+                        onClick={() => increaseQty(item.id)}
+                        type="button"
+                        disabled={item.qty >= item.stock}
+                      >
                         +
                       </button>
                     </div>
-                    <strong>{formatCurrency(item.total)}</strong>
+                    <strong>{formatCurrency(item.total, displayMoney)}</strong>
                   </div>
                 </article>
               ))}
-              {cartSummary.rows.length === 0 && <p className="empty-state">Your cart is empty.</p>}
+              {cartSummary.rows.length === 0 && <p className="empty-state">{t("cart.empty")}</p>}
             </div>
-            <div className="checkout-box">
-              <div>
-                <p>Total</p>
-                <strong>{formatCurrency(cartSummary.subtotal)}</strong>
-              </div>
-              <button className="btn" type="button" onClick={placeOrder} disabled={cartSummary.rows.length === 0}>
-                Place Order
+            {cartSummary.rows.length > 0 && (
+              <fieldset className="address-picker">
+                <legend>{t("cart.deliverTo")}</legend>
+                {addressesLoading && <p className="muted">{t("address.loading")}</p>}
+                {addresses.map((address) => (
+                  <label key={address.id} className="address-option">
+                    <input
+                      type="radio"
+                      name="checkout-address"
+                      value={address.id}
+                      checked={selectedAddressId === address.id}
+                      onChange={() => setSelectedAddressId(address.id)}
+                    />
+                    <span>
+                      {address.label && <strong>{address.label} </strong>}
+                      {formatAddress(address)}
+                    </span>
+                  </label>
+                ))}
+                {!addressesLoading && addresses.length === 0 && (
+                  <p className="muted">
+                    {t("address.empty")} <Link to="/profile">{t("cart.addAddressLink")}</Link>
+                  </p>
+                )}
+              </fieldset>
+            )}
+            {cartSummary.rows.length > 0 && (
+              <form className="coupon-form" onSubmit={applyCoupon}>
+                <label htmlFor="coupon-code">{t("cart.couponCode")}</label>
+                <div className="coupon-row">
+                  <input
+                    id="coupon-code"
+                    type="text"
+                    autoComplete="off"
+                    maxLength={32}
+                    value={couponInput}
+                    disabled={Boolean(appliedCouponCode)}
+                    onChange={(event) => setCouponInput(event.target.value)}
+                  />
+                  {appliedCouponCode ? (
+                    <button className="btn btn-ghost" type="button" onClick={removeCoupon}>
+                      {t("common.remove")}
+                    </button>
+                  ) : (
+                    <button className="btn btn-ghost" type="submit" disabled={!couponInput.trim()}>
+                      {t("cart.applyCoupon")}
+                    </button>
+                  )}
+                </div>
+                {cartSummary.discount > 0 && (
+                  <p className="status">
+                    {t("cart.couponSaves", {
+                      code: appliedCouponCode,
+                      amount: formatCurrency(cartSummary.discount, displayMoney)
+                    })}
+                  </p>
+                )}
+                {couponError && <p className="stock-warning">{couponError}</p>}
+              </form>
+            )}
+            <div className="checkout-box checkout-box-summary">
+              <OrderBreakdown breakdown={cartSummary} money={displayMoney} />
+              <button
+                className="btn"
+                type="button"
+                onClick={placeOrder}
+                disabled={cartSummary.rows.length === 0 || cartSummary.hasStockIssue || !checkoutAddress}
+              >
+                {t("checkout.placeOrder")}
               </button>
             </div>
             {orderMessage && <p className="status">{orderMessage}</p>}
           </section>
         )}
 
-        {activeTab === "orders" && (
+        {activeTab === "orders" && route?.orderId && (
+          <section className="section-block">
+            <Link className="link-btn" to="/orders">
+              ← {t("orders.back")}
+            </Link>
+            {routeOrder ? (
+              <article className="order-row order-row-admin">
+                <div>
+                  <h2>{t("orders.orderTitle", { id: routeOrder.id })}</h2>
+                  <p className="muted">
+                    {t("orders.itemCount", { count: routeOrder.items })} • {routeOrder.date}
+                    {canManageOrders ? ` • ${routeOrder.userEmail}` : ""}
+                  </p>
+                  <OrderLineItems items={routeOrder.lineItems} money={orderMoney(routeOrder, displayMoney.locale)} />
+                  <OrderBreakdown breakdown={routeOrder} money={orderMoney(routeOrder, displayMoney.locale)} />
+                  <PaymentPanel
+                    order={routeOrder}
+                    money={orderMoney(routeOrder, displayMoney.locale)}
+                    canPay={routeOrder.userId === user.id}
+                    busy={paymentBusyOrderId === routeOrder.id}
+                    onStartPayment={startPayment}
+                    onCompletePayment={completePayment}
+                  />
+                  {routeOrder.shippingAddress && (
+                    <p className="muted">{t("orders.shipTo", { address: formatAddress(routeOrder.shippingAddress) })}</p>
+                  )}
+                  <h3>{t("orders.statusHistory")}</h3>
+                  <OrderTimeline order={routeOrder} showActor={canManageOrders} />
+                </div>
+                <div className="cart-right">
+                  <span>{t(ORDER_STATUS_LABEL_KEYS[routeOrder.status])}</span>
+                  <strong>{formatCurrency(routeOrder.total, orderMoney(routeOrder, displayMoney.locale))}</strong>
+                </div>
+              </article>
+            ) : (
+              <p className="empty-state">
+                {ordersLoading || (hasSupabaseConfig && supabase && missingOrderId !== routeOrderId)
+                  ? t("orders.loading")
+                  : t("orders.notFound")}
+              </p>
+            )}
+            {orderMessage && <p className="status">{orderMessage}</p>}
+          </section>
+        )}
+
+        {activeTab === "orders" && !route?.orderId && (
           <section className="section-block">
-            <h2>My Orders</h2>
-            {ordersLoading && <p className="empty-state">Loading orders...</p>}
+            <h2>{t("orders.title")}</h2>
+            {ordersLoading && <p className="empty-state">{t("orders.loading")}</p>}
             <div className="order-list">
               {myOrders.map((order) => (
                 <article key={order.id} className="order-row">
                   <div>
-                    <strong>{order.id}</strong>
+                    <Link to={orderPath(order.id)}>
+                      <strong>{order.id}</strong>
+                    </Link>
                     <p>
-                      {order.items} items • {order.date}
+                      {t("orders.itemCount", { count: order.items })} • {order.date}
                     </p>
+                    <OrderLineItems items={order.lineItems} money={orderMoney(order, displayMoney.locale)} />
+                    <OrderBreakdown breakdown={order} money={orderMoney(order, displayMoney.locale)} />
+                    {order.status === "Placed" && !isOrderPaid(order) && (
+                      <p className="stock-warning">
+                        {t("orders.awaitingPayment")} <Link to={orderPath(order.id)}>{t("orders.completePayment")}</Link>
+                      </p>
+                    )}
+                    <details className="order-history">
+                      <summary>{t("orders.statusHistory")}</summary>
+                      <OrderTimeline order={order} />
+                    </details>
+                    {order.returnRequest && (
+                      <p className="muted">
+                        {t(RETURN_STATUS_LABEL_KEYS[order.returnRequest.status])}
+                        {order.returnRequest.adminNote ? `: ${order.returnRequest.adminNote}` : ""}
+                      </p>
+                    )}
+                    {returnDraftOrderId === order.id && (
+                      <form className="form-block" onSubmit={submitReturnRequest}>
+                        <label htmlFor={`return-reason-${order.id}`}>{t("returns.reasonLabel")}</label>
+                        <textarea
+                          id={`return-reason-${order.id}`}
+                          rows={3}
+                          maxLength={RETURN_REASON_MAX_LENGTH}
+                          value={returnReason}
+                          onChange={(event) => setReturnReason(event.target.value)}
+                        />
+                        <div className="form-actions">
+                          <button className="btn" type="submit">
+                            {t("returns.submit")}
+                          </button>
+                          <button className="btn btn-ghost" type="button" onClick={() => setReturnDraftOrderId(null)}>
+                            {t("common.cancel")}
+                          </button>
+                        </div>
+                      </form>
+                    )}
                   </div>
                   <div className="cart-right">
-                    <span>{order.status}</span>
-                    <strong>{formatCurrency(order.total)}</strong>
+                    <span>{t(ORDER_STATUS_LABEL_KEYS[order.status])}</span>
+                    <strong>{formatCurrency(order.total, orderMoney(order, displayMoney.locale))}</strong>
+                    {CUSTOMER_CANCELLABLE_STATUSES.includes(order.status) && (
+                      <button className="btn btn-danger btn-mini" type="button" onClick={() => cancelOrder(order)}>
+                        {t("orders.cancel")}
+                      </button>
+                    )}
+                    {order.status === "Delivered" && !order.returnRequest && returnDraftOrderId !== order.id && (
+                      <button className="btn btn-ghost btn-mini" type="button" onClick={() => startReturnRequest(order.id)}>
+                        {t("returns.request")}
+                      </button>
+                    )}
                   </div>
                 </article>
               ))}
-              {!ordersLoading && myOrders.length === 0 && <p className="empty-state">No orders yet.</p>}
+              {!ordersLoading && myOrders.length === 0 && <p className="empty-state">{t("orders.empty")}</p>}
             </div>
             {orderMessage && <p className="status">{orderMessage}</p>}
           </section>
         )}
 
-        {activeTab === "admin" && isAdmin && (
+        {activeTab === "admin" && !roleReady && <p className="empty-state">{t("admin.checkingAccess")}</p>}
+
+        {activeTab === "admin" && hasAdminAccess && (
           <section className="section-block">
-            <h2>Admin Portal</h2>
-            <p className="muted">Choose an action and manage products/orders in one place.</p>
+            <h2>{t("admin.title")}</h2>
+            <p className="muted">{t("admin.subtitle")}</p>
+
+            <div className="admin-toolbar">
+              <label htmlFor="admin-section">{t("admin.action")}</label>
+              <select
+                id="admin-section"
+                value={adminSection}
+                onChange={(event) => {
+                  navigate(ADMIN_SECTION_PATHS[event.target.value]);
+                  setAdminMessage("");
+                }}
+              >
+                {allowedAdminSections.map((section) => (
+                  <option key={section.id} value={section.id}>
+                    {t(section.labelKey)}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {adminSection === "add-product" && (
+              <>
+                <form className="form-block" onSubmit={addCategory}>
+                  <label htmlFor="category">{t("admin.categories.new")}</label>
+                  <input
+                    id="category"
+                    type="text"
+                    value={newCategoryName}
+                    placeholder={t("admin.categories.namePlaceholder")}
+                    onChange={(event) => setNewCategoryName(event.target.value)}
+                  />
+                  <button className="btn" type="submit">
+                    {t("admin.categories.add")}
+                  </button>
+                </form>
+
+                <form className="form-block" onSubmit={addProduct}>
+                  <label htmlFor="product-name">{t("admin.products.name")}</label>
+                  <input
+                    id="product-name"
+                    type="text"
+                    value={newProductName}
+                    placeholder={t("admin.products.namePlaceholder")}
+                    onChange={(event) => setNewProductName(event.target.value)}
+                  />
+
+                  <label htmlFor="product-category">{t("admin.products.category")}</label>
+                  <select
+                    id="product-category"
+                    value={newProductCategoryId}
+                    onChange={(event) => setNewProductCategoryId(event.target.value)}
+                  >
+                    {categories.map((category) => (
+                      <option key={category.id} value={category.id}>
+                        {category.name}
+                      </option>
+                    ))}
+                  </select>
+
+                  <label htmlFor="product-price">{t("admin.products.price")}</label>
+                  <input
+                    id="product-price"
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={newProductPrice}
+                    placeholder={t("admin.products.price")}
+                    onChange={(event) => setNewProductPrice(event.target.value)}
+                  />
+
+                  <label htmlFor="product-stock">{t("admin.products.stock")}</label>
+                  <input
+                    id="product-stock"
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={newProductStock}
+                    placeholder={t("admin.products.stockPlaceholder")}
+                    onChange={(event) => setNewProductStock(event.target.value)}
+                  />
+
+                  <label htmlFor="product-description">{t("admin.products.description")}</label>
+                  <input
+                    id="product-description"
+                    type="text"
+                    value={newProductDescription}
+                    placeholder={t("admin.products.descriptionPlaceholder")}
+                    onChange={(event) => setNewProductDescription(event.target.value)}
+                  />
+
+                  <label htmlFor="product-image">{t("admin.products.image")}</label>
+                  <input
+                    id="product-image"
+                    ref={productImageInputRef}
+                    type="file"
+                    accept="image/*"
+                    onChange={(event) => setNewProductImageFile(event.target.files?.[0] || null)}
+                  />
+
+                  <button className="btn" type="submit">
+                    {t("admin.products.add")}
+                  </button>
+                </form>
+
+                <section className="form-block">
+                  <label htmlFor="product-import">{t("admin.import.title")}</label>
+                  <p className="muted">{t("admin.import.help")}</p>
+                  <input
+                    id="product-import"
+                    ref={productImportInputRef}
+                    type="file"
+                    accept=".csv,text/csv"
+                    onChange={(event) => previewProductImport(event.target.files?.[0] || null)}
+                  />
+                  {productImport && (
+                    <>
+                      <p>
+                        {t("admin.import.summary", {
+                          file: productImport.fileName,
+                          ready: productImport.rows.filter((row) => row.errors.length === 0).length,
+                          count: productImport.rows.length
+                        })}
+                      </p>
+                      <div className="import-preview">
+                        <table>
+                          <thead>
+                            <tr>
+                              <th>{t("admin.import.column.line")}</th>
+                              <th>{t("admin.import.column.name")}</th>
+                              <th>{t("admin.import.column.category")}</th>
+                              <th>{t("admin.import.column.price")}</th>
+                              <th>{t("admin.import.column.stock")}</th>
+                              <th>{t("admin.import.column.status")}</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {productImport.rows.map((row) => (
+                              <tr key={row.line} className={row.errors.length > 0 ? "import-row-invalid" : undefined}>
+                                <td>{row.line}</td>
+                                <td>{row.name}</td>
+                                <td>{row.categoryName}</td>
+                                <td>{Number.isFinite(row.price) ? formatCurrency(row.price) : row.priceText}</td>
+                                <td>{row.stockText}</td>
+                                <td>{row.errors.length > 0 ? row.errors.join("; ") : t("admin.import.ready")}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                      <div className="form-actions">
+                        <button
+                          className="btn"
+                          type="button"
+                          onClick={importProducts}
+                          disabled={importingProducts || productImport.rows.some((row) => row.errors.length > 0)}
+                        >
+                          {importingProducts
+                            ? t("admin.import.importing")
+                            : t("admin.import.submit", { count: productImport.rows.length })}
+                        </button>
+                        <button className="btn btn-ghost" type="button" onClick={resetProductImport}>
+                          {t("common.cancel")}
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </section>
+
+                <div className="order-list">
+                  {categories.map((category) =>
+                    renamingCategoryId === category.id ? (
+                      <form key={category.id} className="order-row order-row-admin" onSubmit={renameCategory}>
+                        <input
+                          type="text"
+                          aria-label={t("admin.categories.renameLabel", { name: category.name })}
+                          value={categoryRenameDraft}
+                          onChange={(event) => setCategoryRenameDraft(event.target.value)}
+                        />
+                        <div className="form-actions">
+                          <button className="btn" type="submit">
+                            {t("common.save")}
+                          </button>
+                          <button className="btn btn-ghost" type="button" onClick={cancelRenamingCategory}>
+                            {t("common.cancel")}
+                          </button>
+                        </div>
+                      </form>
+                    ) : (
+                      <article key={category.id} className="order-row order-row-admin">
+                        <div>
+                          <strong>{category.name}</strong>
+                        </div>
+                        <div className="form-actions">
+                          <button className="btn btn-ghost" type="button" onClick={() => startRenamingCategory(category)}>
+                            {t("admin.categories.rename")}
+                          </button>
+                          <button className="btn btn-danger" type="button" onClick={() => removeCategory(category.id)}>
+                            {t("common.delete")}
+                          </button>
+                        </div>
+                      </article>
+                    )
+                  )}
+                  {categories.length === 0 && <p className="empty-state">{t("admin.categories.empty")}</p>}
+                </div>
+              </>
+            )}
+
+            {adminSection === "pricing" && (
+              <form className="form-block" onSubmit={savePricingSettings}>
+                <label htmlFor="pricing-default-tax">{t("admin.pricing.defaultTaxRate")}</label>
+                <input
+                  id="pricing-default-tax"
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.01"
+                  value={pricingForm.defaultTaxRate}
+                  onChange={(event) => setPricingDraft({ ...pricingForm, defaultTaxRate: event.target.value })}
+                />
+
+                <fieldset className="category-tax-rates">
+                  <legend>{t("admin.pricing.categoryTaxRates")}</legend>
+                  {categories.map((category) => (
+                    <label key={category.id}>
+                      <span>{category.name}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.01"
+                        placeholder={String(pricingForm.defaultTaxRate)}
+                        value={categoryTaxInputValue(category)}
+                        onChange={(event) =>
+                          setCategoryTaxDrafts((prev) => ({ ...prev, [category.id]: event.target.value }))
+                        }
+                      />
+                    </label>
+                  ))}
+                </fieldset>
+
+                <label htmlFor="pricing-shipping-fee">{t("admin.pricing.shippingFee")}</label>
+                <input
+                  id="pricing-shipping-fee"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={pricingForm.shippingFee}
+                  onChange={(event) => setPricingDraft({ ...pricingForm, shippingFee: event.target.value })}
+                />
+
+                <label htmlFor="pricing-free-shipping">{t("admin.pricing.freeShipping")}</label>
+                <input
+                  id="pricing-free-shipping"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={pricingForm.freeShippingThreshold}
+                  onChange={(event) => setPricingDraft({ ...pricingForm, freeShippingThreshold: event.target.value })}
+                />
+
+                <button className="btn" type="submit">
+                  {t("admin.pricing.save")}
+                </button>
+              </form>
+            )}
+
+            {adminSection === "currencies" && (
+              <>
+                <form className="form-block" onSubmit={saveCurrencyDefaults}>
+                  <label htmlFor="currency-default">{t("admin.currencies.defaultCurrency")}</label>
+                  <select
+                    id="currency-default"
+                    value={currencyDefaultsForm.defaultCurrency}
+                    onChange={(event) => setCurrencyDefaultsDraft({ ...currencyDefaultsForm, defaultCurrency: event.target.value })}
+                  >
+                    {exchangeRates.map((exchangeRate) => (
+                      <option key={exchangeRate.currency} value={exchangeRate.currency}>
+                        {exchangeRate.currency}
+                      </option>
+                    ))}
+                  </select>
+
+                  <label htmlFor="currency-default-locale">{t("admin.currencies.defaultLocale")}</label>
+                  <select
+                    id="currency-default-locale"
+                    value={currencyDefaultsForm.defaultLocale}
+                    onChange={(event) => setCurrencyDefaultsDraft({ ...currencyDefaultsForm, defaultLocale: event.target.value })}
+                  >
+                    {LOCALE_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+
+                  <button className="btn" type="submit">
+                    {t("admin.currencies.saveDefault")}
+                  </button>
+                </form>
+
+                <form className="form-block" onSubmit={saveExchangeRate}>
+                  <label htmlFor="exchange-rate-currency">{t("admin.currencies.code")}</label>
+                  <input
+                    id="exchange-rate-currency"
+                    type="text"
+                    maxLength={3}
+                    placeholder="USD"
+                    disabled={Boolean(editingExchangeRateCurrency)}
+                    value={exchangeRateDraft.currency}
+                    onChange={(event) =>
+                      setExchangeRateDraft((prev) => ({ ...prev, currency: event.target.value.toUpperCase() }))
+                    }
+                  />
+
+                  <label htmlFor="exchange-rate-value">
+                    {exchangeRateDraft.currency
+                      ? t("admin.currencies.rateFor", { base: BASE_CURRENCY, currency: exchangeRateDraft.currency })
+                      : t("admin.currencies.rate", { base: BASE_CURRENCY })}
+                  </label>
+                  <input
+                    id="exchange-rate-value"
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={exchangeRateDraft.rate}
+                    onChange={(event) => setExchangeRateDraft((prev) => ({ ...prev, rate: event.target.value }))}
+                  />
+
+                  <div className="form-actions">
+                    <button className="btn" type="submit">
+                      {editingExchangeRateCurrency ? t("admin.currencies.saveRate") : t("admin.currencies.add")}
+                    </button>
+                    {editingExchangeRateCurrency && (
+                      <button className="btn btn-ghost" type="button" onClick={resetExchangeRateForm}>
+                        {t("common.cancel")}
+                      </button>
+                    )}
+                  </div>
+                </form>
+
+                <div className="order-list">
+                  {exchangeRates.map((exchangeRate) => (
+                    <article key={exchangeRate.currency} className="order-row order-row-admin">
+                      <div>
+                        <strong>
+                          {exchangeRate.currency}
+                          {exchangeRate.currency === storeSettings.defaultCurrency && (
+                            <span className="product-chip address-default">{t("common.default")}</span>
+                          )}
+                        </strong>
+                        <p>
+                          1 {BASE_CURRENCY} = {exchangeRate.rate} {exchangeRate.currency} •{" "}
+                          {t("admin.currencies.example", {
+                            base: formatCurrency(1000),
+                            converted: formatCurrency(1000, { ...exchangeRate, locale: displayMoney.locale })
+                          })}
+                        </p>
+                        {exchangeRate.updatedAt && (
+                          <p className="muted">
+                            {t("admin.currencies.updatedAt", { date: new Date(exchangeRate.updatedAt).toLocaleString() })}
+                          </p>
+                        )}
+                      </div>
+                      {exchangeRate.currency !== BASE_CURRENCY && (
+                        <div className="form-actions">
+                          <button className="btn btn-ghost" type="button" onClick={() => startEditingExchangeRate(exchangeRate)}>
+                            {t("common.edit")}
+                          </button>
+                          <button className="btn btn-danger" type="button" onClick={() => deleteExchangeRate(exchangeRate)}>
+                            {t("common.remove")}
+                          </button>
+                        </div>
+                      )}
+                    </article>
+                  ))}
+                </div>
+              </>
+            )}
+
+            {adminSection === "coupons" && (
+              <>
+                <form className="form-block" onSubmit={saveCoupon}>
+                  <label htmlFor="coupon-admin-code">{t("admin.coupons.code")}</label>
+                  <input
+                    id="coupon-admin-code"
+                    type="text"
+                    maxLength={32}
+                    value={couponDraft.code}
+                    onChange={(event) => setCouponDraft((prev) => ({ ...prev, code: event.target.value.toUpperCase() }))}
+                  />
+
+                  <label htmlFor="coupon-discount-type">{t("admin.coupons.discountType")}</label>
+                  <select
+                    id="coupon-discount-type"
+                    value={couponDraft.discountType}
+                    onChange={(event) => setCouponDraft((prev) => ({ ...prev, discountType: event.target.value }))}
+                  >
+                    <option value="percent">{t("admin.coupons.type.percent")}</option>
+                    <option value="fixed">{t("admin.coupons.type.fixed")}</option>
+                  </select>
+
+                  <label htmlFor="coupon-discount-value">
+                    {couponDraft.discountType === "percent" ? t("admin.coupons.percentOff") : t("admin.coupons.amountOff")}
+                  </label>
+                  <input
+                    id="coupon-discount-value"
+                    type="number"
+                    min="0"
+                    max={couponDraft.discountType === "percent" ? "100" : undefined}
+                    step="0.01"
+                    value={couponDraft.discountValue}
+                    onChange={(event) => setCouponDraft((prev) => ({ ...prev, discountValue: event.target.value }))}
+                  />
+
+                  <label htmlFor="coupon-min-order">{t("admin.coupons.minOrder")}</label>
+                  <input
+                    id="coupon-min-order"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={couponDraft.minOrder}
+                    onChange={(event) => setCouponDraft((prev) => ({ ...prev, minOrder: event.target.value }))}
+                  />
+
+                  <label htmlFor="coupon-expires-at">{t("admin.coupons.expiresAt")}</label>
+                  <input
+                    id="coupon-expires-at"
+                    type="datetime-local"
+                    value={couponDraft.expiresAt}
+                    onChange={(event) => setCouponDraft((prev) => ({ ...prev, expiresAt: event.target.value }))}
+                  />
+
+                  <label htmlFor="coupon-max-uses">{t("admin.coupons.maxUses")}</label>
+                  <input
+                    id="coupon-max-uses"
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={couponDraft.maxUses}
+                    onChange={(event) => setCouponDraft((prev) => ({ ...prev, maxUses: event.target.value }))}
+                  />
+
+                  <label htmlFor="coupon-max-uses-per-user">{t("admin.coupons.maxUsesPerUser")}</label>
+                  <input
+                    id="coupon-max-uses-per-user"
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={couponDraft.maxUsesPerUser}
+                    onChange={(event) => setCouponDraft((prev) => ({ ...prev, maxUsesPerUser: event.target.value }))}
+                  />
+
+                  <fieldset className="coupon-categories">
+                    <legend>{t("admin.coupons.categories")}</legend>
+                    {categories.map((category) => (
+                      <label key={category.id}>
+                        <input
+                          type="checkbox"
+                          checked={couponDraft.categoryIds.includes(category.id)}
+                          onChange={() => toggleCouponCategory(category.id)}
+                        />
+                        {category.name}
+                      </label>
+                    ))}
+                  </fieldset>
+
+                  <label className="coupon-active">
+                    <input
+                      type="checkbox"
+                      checked={couponDraft.isActive}
+                      onChange={(event) => setCouponDraft((prev) => ({ ...prev, isActive: event.target.checked }))}
+                    />
+                    {t("admin.coupons.active")}
+                  </label>
+
+                  <div className="form-actions">
+                    <button className="btn" type="submit">
+                      {editingCouponId ? t("admin.coupons.save") : t("admin.coupons.add")}
+                    </button>
+                    {editingCouponId && (
+                      <button className="btn btn-ghost" type="button" onClick={resetCouponForm}>
+                        {t("common.cancel")}
+                      </button>
+                    )}
+                  </div>
+                </form>
 
-            <div className="admin-toolbar">
-              <label htmlFor="admin-section">Admin Action</label>
-              <select
-                id="admin-section"
-                value={adminSection}
-                onChange={(event) => {
-                  setAdminSection(event.target.value);
-                  setAdminMessage("");
-                }}
-              >
-                <option value="add-product">Add Product</option>
-                <option value="view-orders">View All Orders</option>
-                <option value="manage-products">Manage Products</option>
-              </select>
-            </div>
+                <div className="order-list">
+                  {coupons.map((coupon) => (
+                    <article key={coupon.id} className="order-row order-row-admin">
+                      <div>
+                        <strong>{coupon.code}</strong>
+                        <p>
+                          {describeCouponDiscount(coupon, displayMoney)}
+                          {coupon.isActive ? "" : ` • ${t("admin.coupons.inactive")}`}
+                        </p>
+                        {describeCouponRules(coupon) && <p className="muted">{describeCouponRules(coupon)}</p>}
+                      </div>
+                      <div className="form-actions">
+                        <button className="btn btn-ghost" type="button" onClick={() => startEditingCoupon(coupon)}>
+                          {t("common.edit")}
+                        </button>
+                        <button className="btn btn-danger" type="button" onClick={() => deleteCoupon(coupon)}>
+                          {t("common.delete")}
+                        </button>
+                      </div>
+                    </article>
+                  ))}
+                  {coupons.length === 0 && <p className="empty-state">{t("admin.coupons.empty")}</p>}
+                </div>
+              </>
+            )}
 
-            {adminSection === "add-product" && (
+            {adminSection === "banners" && (
               <>
-                <form className="form-block" onSubmit={addCategory}>
-                  <label htmlFor="category">New Category</label>
+                <form className="form-block" onSubmit={saveBanner}>
+                  <label htmlFor="banner-title">{t("admin.banners.title")}</label>
                   <input
-                    id="category"
+                    id="banner-title"
                     type="text"
-                    value={newCategoryName}
-                    placeholder="Category name"
-                    onChange={(event) => setNewCategoryName(event.target.value)}
+                    maxLength={80}
+                    value={bannerDraft.title}
+                    onChange={(event) => setBannerDraft((prev) => ({ ...prev, title: event.target.value }))}
                   />
-                  <button className="btn" type="submit">
-                    Add Category
-                  </button>
-                </form>
 
-                <form className="form-block" onSubmit={addProduct}>
-                  <label htmlFor="product-name">Product Name</label>
+                  <label htmlFor="banner-subtitle">{t("admin.banners.subtitle")}</label>
                   <input
-                    id="product-name"
+                    id="banner-subtitle"
                     type="text"
-                    value={newProductName}
-                    placeholder="Product name"
-                    onChange={(event) => setNewProductName(event.target.value)}
+                    maxLength={160}
+                    value={bannerDraft.subtitle}
+                    onChange={(event) => setBannerDraft((prev) => ({ ...prev, subtitle: event.target.value }))}
                   />
 
-                  <label htmlFor="product-category">Category</label>
+                  <label htmlFor="banner-cta-type">{t("admin.banners.ctaType")}</label>
                   <select
-                    id="product-category"
-                    value={newProductCategory}
-                    onChange={(event) => setNewProductCategory(event.target.value)}
+                    id="banner-cta-type"
+                    value={bannerDraft.ctaType}
+                    onChange={(event) => setBannerDraft((prev) => ({ ...prev, ctaType: event.target.value, ctaTarget: "" }))}
                   >
-                    {categories.map((category) => (
-                      <option key={category.id} value={category.name}>
-                        {category.name}
+                    {BANNER_CTA_TYPES.map((type) => (
+                      <option key={type.value} value={type.value}>
+                        {t(type.labelKey)}
                       </option>
                     ))}
                   </select>
 
-                  <label htmlFor="product-price">Price</label>
+                  {bannerDraft.ctaType !== "none" && (
+                    <>
+                      <label htmlFor="banner-cta-label">{t("admin.banners.ctaLabel")}</label>
+                      <input
+                        id="banner-cta-label"
+                        type="text"
+                        maxLength={40}
+                        value={bannerDraft.ctaLabel}
+                        onChange={(event) => setBannerDraft((prev) => ({ ...prev, ctaLabel: event.target.value }))}
+                      />
+
+                      <label htmlFor="banner-cta-target">
+                        {bannerDraft.ctaType === "category"
+                          ? t("admin.banners.target.category")
+                          : bannerDraft.ctaType === "product"
+                            ? t("admin.banners.target.product")
+                            : t("admin.banners.target.url")}
+                      </label>
+                      {bannerDraft.ctaType === "category" ? (
+                        <select
+                          id="banner-cta-target"
+                          value={bannerDraft.ctaTarget}
+                          onChange={(event) => setBannerDraft((prev) => ({ ...prev, ctaTarget: event.target.value }))}
+                        >
+                          <option value="">{t("admin.banners.chooseCategory")}</option>
+                          {categories.map((category) => (
+                            <option key={category.id} value={category.id}>
+                              {category.name}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <input
+                          id="banner-cta-target"
+                          type={bannerDraft.ctaType === "url" ? "url" : "text"}
+                          placeholder={bannerDraft.ctaType === "url" ? "https://" : t("admin.banners.productIdPlaceholder")}
+                          value={bannerDraft.ctaTarget}
+                          onChange={(event) => setBannerDraft((prev) => ({ ...prev, ctaTarget: event.target.value }))}
+                        />
+                      )}
+                    </>
+                  )}
+
+                  <label htmlFor="banner-sort-order">{t("admin.banners.sortOrder")}</label>
                   <input
-                    id="product-price"
+                    id="banner-sort-order"
                     type="number"
-                    min="1"
                     step="1"
-                    value={newProductPrice}
-                    placeholder="Price"
-                    onChange={(event) => setNewProductPrice(event.target.value)}
+                    value={bannerDraft.sortOrder}
+                    onChange={(event) => setBannerDraft((prev) => ({ ...prev, sortOrder: event.target.value }))}
                   />
 
-                  <label htmlFor="product-description">Description</label>
+                  <label htmlFor="banner-starts-at">{t("admin.banners.startsAt")}</label>
                   <input
-                    id="product-description"
-                    type="text"
-                    value={newProductDescription}
-                    placeholder="Short description"
-                    onChange={(event) => setNewProductDescription(event.target.value)}
+                    id="banner-starts-at"
+                    type="datetime-local"
+                    value={bannerDraft.startsAt}
+                    onChange={(event) => setBannerDraft((prev) => ({ ...prev, startsAt: event.target.value }))}
                   />
 
-                  <label htmlFor="product-image">Product Image</label>
+                  <label htmlFor="banner-ends-at">{t("admin.banners.endsAt")}</label>
                   <input
-                    id="product-image"
-                    ref={productImageInputRef}
+                    id="banner-ends-at"
+                    type="datetime-local"
+                    value={bannerDraft.endsAt}
+                    onChange={(event) => setBannerDraft((prev) => ({ ...prev, endsAt: event.target.value }))}
+                  />
+
+                  <label htmlFor="banner-image">{t("admin.banners.image")}</label>
+                  {bannerDraft.image && (
+                    <div className="product-thumbs">
+                      <div className="product-thumb">
+                        <img src={bannerDraft.image} alt="" loading="lazy" />
+                        <button
+                          className="link-btn"
+                          type="button"
+                          onClick={() => setBannerDraft((prev) => ({ ...prev, image: "" }))}
+                        >
+                          {t("admin.banners.removeImage")}
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                  <input
+                    id="banner-image"
+                    ref={bannerImageInputRef}
                     type="file"
                     accept="image/*"
-                    onChange={(event) => setNewProductImageFile(event.target.files?.[0] || null)}
+                    onChange={(event) => setBannerImageFile(event.target.files?.[0] || null)}
                   />
 
-                  <button className="btn" type="submit">
-                    Add Product
-                  </button>
+                  <div className="form-actions">
+                    <button className="btn" type="submit">
+                      {editingBannerId ? t("admin.banners.save") : t("admin.banners.add")}
+                    </button>
+                    {editingBannerId && (
+                      <button className="btn btn-ghost" type="button" onClick={resetBannerForm}>
+                        {t("common.cancel")}
+                      </button>
+                    )}
+                  </div>
                 </form>
 
                 <div className="order-list">
-                  {categories.map((category) => (
-                    <article key={category.id} className="order-row order-row-admin">
+                  {banners.map((banner) => (
+                    <article key={banner.id} className="order-row order-row-admin">
                       <div>
-                        <strong>{category.name}</strong>
+                        <strong>{banner.title}</strong>
+                        <p>
+                          #{banner.sortOrder} • {describeBannerWindow(banner)}
+                        </p>
+                        {banner.ctaType !== "none" && (
+                          <p className="muted">
+                            {banner.ctaLabel} →{" "}
+                            {banner.ctaType === "category"
+                              ? categoryNameById[banner.ctaTarget] || t("admin.coupons.missingCategory")
+                              : banner.ctaTarget}
+                          </p>
+                        )}
+                      </div>
+                      <div className="form-actions">
+                        <button className="btn btn-ghost" type="button" onClick={() => startEditingBanner(banner)}>
+                          {t("common.edit")}
+                        </button>
+                        <button className="btn btn-danger" type="button" onClick={() => removeBanner(banner)}>
+                          {t("common.delete")}
+                        </button>
                       </div>
-                      <button className="btn btn-danger" type="button" onClick={() => removeCategory(category.id)}>
-                        Delete
-                      </button>
                     </article>
                   ))}
-                  {categories.length === 0 && <p className="empty-state">No categories available.</p>}
+                  {banners.length === 0 && <p className="empty-state">{t("admin.banners.empty")}</p>}
+                </div>
+              </>
+            )}
+
+            {adminSection === "users" &&
+              (!hasSupabaseConfig || !supabase ? (
+                <p className="empty-state">{t("admin.users.needsSupabase")}</p>
+              ) : (
+                <>
+                  <input
+                    type="search"
+                    placeholder={t("admin.users.searchPlaceholder")}
+                    value={adminUserSearch}
+                    onChange={(event) => setAdminUserSearch(event.target.value)}
+                  />
+                  <div className="order-list">
+                    {adminUserList.rows.map((profile) => (
+                      <article key={profile.id} className="order-row order-row-admin">
+                        <div>
+                          <strong>{profile.email || profile.id}</strong>
+                          <p>
+                            {t("admin.users.summary", {
+                              count: profile.orderCount,
+                              date: new Date(profile.createdAt).toLocaleDateString()
+                            })}
+                            {profile.id === user.id ? ` • ${t("admin.users.you")}` : ""}
+                          </p>
+                        </div>
+                        <div className="order-admin-right">
+                          <span className={profile.role === ROLE_USER ? "role-badge" : "role-badge role-badge-staff"}>
+                            {t(ROLE_LABEL_KEYS[profile.role])}
+                          </span>
+                          <select
+                            value={profile.role}
+                            disabled={changingRoleUserId === profile.id}
+                            onChange={(event) => changeUserRole(profile, event.target.value)}
+                            aria-label={t("admin.users.roleFor", { user: profile.email || profile.id })}
+                          >
+                            {Object.keys(ROLE_PERMISSIONS).map((role) => (
+                              <option key={role} value={role}>
+                                {t(ROLE_LABEL_KEYS[role])}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      </article>
+                    ))}
+                    {adminUserList.rows.length === 0 && (
+                      <p className="empty-state">{adminUserList.loading ? t("admin.users.loading") : t("admin.users.empty")}</p>
+                    )}
+                  </div>
+                  {adminUserList.hasMore && (
+                    <div className="load-more-row">
+                      <button
+                        className="btn btn-ghost"
+                        type="button"
+                        onClick={adminUserList.loadMore}
+                        disabled={adminUserList.loading}
+                      >
+                        {adminUserList.loading ? t("common.loading") : t("admin.users.loadMore")}
+                      </button>
+                    </div>
+                  )}
+
+                  <h3>{t("admin.users.roleChanges")}</h3>
+                  <ol className="order-timeline">
+                    {roleChanges.map((change) => (
+                      <li key={change.id}>
+                        <strong>
+                          {change.userEmail}: {t(ROLE_LABEL_KEYS[change.fromRole] || change.fromRole)} →{" "}
+                          {t(ROLE_LABEL_KEYS[change.toRole] || change.toRole)}
+                        </strong>
+                        <span className="muted">
+                          {new Date(change.changedAt).toLocaleString()}
+                          {change.changedByEmail ? ` • ${t("admin.users.changedBy", { email: change.changedByEmail })}` : ""}
+                        </span>
+                      </li>
+                    ))}
+                  </ol>
+                  {roleChanges.length === 0 && <p className="empty-state">{t("admin.users.noRoleChanges")}</p>}
+                </>
+              ))}
+
+            {adminSection === "analytics" && (
+              <>
+                <div className="admin-filter-grid analytics-controls">
+                  <label className="form-field">
+                    {t("admin.analytics.from")}
+                    <input
+                      type="date"
+                      value={analyticsRange.from}
+                      max={analyticsRange.to}
+                      onChange={(event) => setAnalyticsRange((prev) => ({ ...prev, from: event.target.value }))}
+                    />
+                  </label>
+                  <label className="form-field">
+                    {t("admin.analytics.to")}
+                    <input
+                      type="date"
+                      value={analyticsRange.to}
+                      min={analyticsRange.from}
+                      onChange={(event) => setAnalyticsRange((prev) => ({ ...prev, to: event.target.value }))}
+                    />
+                  </label>
+                  <label className="form-field">
+                    {t("admin.analytics.groupBy")}
+                    <select
+                      value={analyticsRange.bucket}
+                      onChange={(event) => setAnalyticsRange((prev) => ({ ...prev, bucket: event.target.value }))}
+                    >
+                      {ANALYTICS_BUCKETS.map((bucket) => (
+                        <option key={bucket.value} value={bucket.value}>
+                          {t(bucket.labelKey)}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
                 </div>
+
+                {!hasSupabaseConfig || !supabase ? (
+                  <p className="empty-state">{t("admin.analytics.needsSupabase")}</p>
+                ) : !analyticsReport ? (
+                  <p className="empty-state">{analyticsLoading ? t("admin.analytics.loading") : t("admin.analytics.empty")}</p>
+                ) : (
+                  <div className="analytics-report">
+                    <div className="admin-stat-grid">
+                      <article className="admin-stat-card">
+                        <span>{t("admin.analytics.revenue")}</span>
+                        <strong>{formatCurrency(analyticsReport.revenue, displayMoney)}</strong>
+                      </article>
+                      <article className="admin-stat-card">
+                        <span>{t("admin.analytics.orders")}</span>
+                        <strong>{analyticsReport.orders}</strong>
+                      </article>
+                      <article className="admin-stat-card">
+                        <span>{t("admin.analytics.averageOrderValue")}</span>
+                        <strong>{formatCurrency(analyticsReport.averageOrderValue, displayMoney)}</strong>
+                      </article>
+                    </div>
+                    <p className="muted">{t("admin.analytics.cancelledNote")}</p>
+
+                    <h3>{t("admin.analytics.revenueOverTime")}</h3>
+                    <AnalyticsBars
+                      rows={analyticsReport.series.map((row) => ({
+                        key: row.period,
+                        label: formatReportPeriod(row.period, analyticsRange.bucket, displayMoney.locale),
+                        value: row.revenue,
+                        detail: t("admin.analytics.orderCount", { count: row.orders })
+                      }))}
+                      formatValue={formatDisplayCurrency}
+                    />
+
+                    <h3>{t("admin.analytics.ordersByStatus")}</h3>
+                    <AnalyticsBars
+                      rows={analyticsReport.statuses.map((row) => ({
+                        key: row.status,
+                        label: t(ORDER_STATUS_LABEL_KEYS[row.status]),
+                        value: row.orders
+                      }))}
+                      formatValue={String}
+                    />
+
+                    <h3>{t("admin.analytics.topProducts")}</h3>
+                    {analyticsReport.topProducts.length === 0 ? (
+                      <p className="empty-state">{t("admin.analytics.noSales")}</p>
+                    ) : (
+                      <AnalyticsBars
+                        rows={analyticsReport.topProducts.map((row) => ({
+                          key: row.id,
+                          label: row.name,
+                          value: row.revenue,
+                          detail: t("admin.analytics.unitsSold", { count: row.units })
+                        }))}
+                        formatValue={formatDisplayCurrency}
+                      />
+                    )}
+
+                    <h3>{t("admin.analytics.topCategories")}</h3>
+                    {analyticsReport.topCategories.length === 0 ? (
+                      <p className="empty-state">{t("admin.analytics.noSales")}</p>
+                    ) : (
+                      <AnalyticsBars
+                        rows={analyticsReport.topCategories.map((row) => ({
+                          key: row.id,
+                          label: row.name,
+                          value: row.revenue,
+                          detail: t("admin.analytics.unitsSold", { count: row.units })
+                        }))}
+                        formatValue={formatDisplayCurrency}
+                      />
+                    )}
+                  </div>
+                )}
               </>
             )}
 
@@ -865,31 +5658,31 @@ function Storefront({ user, userRole, onLogout }) {
               <>
                 <div className="admin-stat-grid">
                   <article className="admin-stat-card">
-                    <span>Total Orders</span>
+                    <span>{t("admin.orders.total")}</span>
                     <strong>{adminOrderStats.totalOrders}</strong>
                   </article>
                   <article className="admin-stat-card">
-                    <span>Open Orders</span>
+                    <span>{t("admin.orders.open")}</span>
                     <strong>{adminOrderStats.pendingOrders}</strong>
                   </article>
                   <article className="admin-stat-card">
-                    <span>Total Revenue</span>
-                    <strong>{formatCurrency(adminOrderStats.totalRevenue)}</strong>
+                    <span>{t("admin.orders.revenue")}</span>
+                    <strong>{formatCurrency(adminOrderStats.totalRevenue, displayMoney)}</strong>
                   </article>
                 </div>
 
                 <div className="admin-filter-grid">
                   <input
                     type="search"
-                    placeholder="Search by order ID or email"
+                    placeholder={t("admin.orders.searchPlaceholder")}
                     value={adminOrderSearch}
                     onChange={(event) => setAdminOrderSearch(event.target.value)}
                   />
                   <select value={adminOrderStatusFilter} onChange={(event) => setAdminOrderStatusFilter(event.target.value)}>
-                    <option value="All">All Statuses</option>
+                    <option value="All">{t("admin.orders.allStatuses")}</option>
                     {ORDER_STATUSES.map((status) => (
                       <option key={status} value={status}>
-                        {status}
+                        {t(ORDER_STATUS_LABEL_KEYS[status])}
                       </option>
                     ))}
                   </select>
@@ -899,35 +5692,75 @@ function Storefront({ user, userRole, onLogout }) {
                     onChange={(event) => setAdminOrderDateFilter(event.target.value)}
                   />
                   <select value={adminOrderSort} onChange={(event) => setAdminOrderSort(event.target.value)}>
-                    <option value="newest">Newest First</option>
-                    <option value="oldest">Oldest First</option>
+                    <option value="newest">{t("admin.orders.sort.newest")}</option>
+                    <option value="oldest">{t("admin.orders.sort.oldest")}</option>
                   </select>
                 </div>
+                <div className="form-actions">
+                  <button className="btn btn-ghost" type="button" onClick={exportOrdersCsv} disabled={exportingCsv}>
+                    {exportingCsv ? t("admin.export.exporting") : t("admin.export.csv")}
+                  </button>
+                </div>
 
-                {ordersLoading && <p className="empty-state">Loading orders...</p>}
+                {(ordersLoading || (adminOrderList.loading && adminOrders.length === 0)) && (
+                  <p className="empty-state">{t("orders.loading")}</p>
+                )}
                 <div className="order-list">
                   {adminOrders.map((order) => (
                     <article key={order.id} className="order-row order-row-admin">
                       <div>
-                        <strong>{order.id}</strong>
+                        <Link to={orderPath(order.id)}>
+                          <strong>{order.id}</strong>
+                        </Link>
                         <p>
-                          {order.userEmail} • {order.items} items • {order.date}
+                          {order.userEmail} • {t("orders.itemCount", { count: order.items })} • {order.date}
+                        </p>
+                        <OrderLineItems items={order.lineItems} money={orderMoney(order, displayMoney.locale)} />
+                        <OrderBreakdown breakdown={order} money={orderMoney(order, displayMoney.locale)} />
+                        <p className="muted">{t("admin.orders.payment", { payment: describeOrderPayment(order) })}</p>
+                        <p className="muted">
+                          {t("orders.shipTo", {
+                            address: order.shippingAddress ? formatAddress(order.shippingAddress) : t("admin.orders.noAddress")
+                          })}
                         </p>
+                        <details className="order-history">
+                          <summary>{t("orders.statusHistory")}</summary>
+                          <OrderTimeline order={order} showActor />
+                        </details>
                       </div>
                       <div className="order-admin-right">
-                        <strong>{formatCurrency(order.total)}</strong>
-                        <select value={order.status} onChange={(event) => updateOrderStatus(order.id, event.target.value)}>
-                          {ORDER_STATUSES.map((status) => (
+                        <strong>{formatCurrency(order.total, orderMoney(order, displayMoney.locale))}</strong>
+                        <select
+                          value={order.status}
+                          onChange={(event) => updateOrderStatus(order.id, event.target.value)}
+                          disabled={nextOrderStatuses(order).length === 0}
+                          aria-label={t("admin.orders.statusFor", { id: order.id })}
+                        >
+                          {[order.status, ...nextOrderStatuses(order)].map((status) => (
                             <option key={status} value={status}>
-                              {status}
+                              {t(ORDER_STATUS_LABEL_KEYS[status])}
                             </option>
                           ))}
                         </select>
                       </div>
                     </article>
                   ))}
-                  {!ordersLoading && adminOrders.length === 0 && <p className="empty-state">No orders match the filters.</p>}
+                  {!ordersLoading && !adminOrderList.loading && adminOrders.length === 0 && (
+                    <p className="empty-state">{t("admin.orders.empty")}</p>
+                  )}
                 </div>
+                {adminOrderList.hasMore && (
+                  <div className="load-more-row">
+                    <button
+                      className="btn btn-ghost"
+                      type="button"
+                      onClick={adminOrderList.loadMore}
+                      disabled={adminOrderList.loading}
+                    >
+                      {adminOrderList.loading ? t("common.loading") : t("admin.orders.loadMore")}
+                    </button>
+                  </div>
+                )}
               </>
             )}
 
@@ -935,71 +5768,387 @@ function Storefront({ user, userRole, onLogout }) {
               <>
                 <input
                   type="search"
-                  placeholder="Search products by name or category"
+                  placeholder={t("admin.products.searchPlaceholder")}
                   value={adminProductSearch}
                   onChange={(event) => setAdminProductSearch(event.target.value)}
                 />
+                <div className="form-actions">
+                  <button className="btn btn-ghost" type="button" onClick={exportProductsCsv} disabled={exportingCsv}>
+                    {exportingCsv ? t("admin.export.exporting") : t("admin.export.csv")}
+                  </button>
+                </div>
                 <div className="order-list">
-                  {adminVisibleProducts.map((product) => (
-                    <article key={product.id} className="order-row order-row-admin">
-                      <div>
-                        <strong>{product.name}</strong>
-                        <p>
-                          {product.category} • {formatCurrency(product.price)}
-                        </p>
-                      </div>
-                      <button className="btn btn-danger" type="button" onClick={() => removeProduct(product.id)}>
-                        Delete
-                      </button>
-                    </article>
-                  ))}
-                  {adminVisibleProducts.length === 0 && <p className="empty-state">No products match the search.</p>}
+                  {adminVisibleProducts.map((product) =>
+                    editingProductId === product.id && productEditDraft ? (
+                      <form key={product.id} className="form-block product-edit-form" onSubmit={updateProduct}>
+                        <label htmlFor="edit-product-name">{t("admin.products.name")}</label>
+                        <input
+                          id="edit-product-name"
+                          type="text"
+                          value={productEditDraft.name}
+                          onChange={(event) => setProductEditDraft((prev) => ({ ...prev, name: event.target.value }))}
+                        />
+
+                        <label htmlFor="edit-product-category">{t("admin.products.category")}</label>
+                        <select
+                          id="edit-product-category"
+                          value={productEditDraft.categoryId}
+                          onChange={(event) => setProductEditDraft((prev) => ({ ...prev, categoryId: event.target.value }))}
+                        >
+                          {categories.map((category) => (
+                            <option key={category.id} value={category.id}>
+                              {category.name}
+                            </option>
+                          ))}
+                        </select>
+
+                        <label htmlFor="edit-product-price">{t("admin.products.price")}</label>
+                        <input
+                          id="edit-product-price"
+                          type="number"
+                          min="1"
+                          step="1"
+                          value={productEditDraft.price}
+                          onChange={(event) => setProductEditDraft((prev) => ({ ...prev, price: event.target.value }))}
+                        />
+
+                        <label htmlFor="edit-product-description">{t("admin.products.description")}</label>
+                        <input
+                          id="edit-product-description"
+                          type="text"
+                          value={productEditDraft.description}
+                          onChange={(event) =>
+                            setProductEditDraft((prev) => ({ ...prev, description: event.target.value }))
+                          }
+                        />
+
+                        <label htmlFor="edit-product-badge">{t("admin.products.badge")}</label>
+                        <input
+                          id="edit-product-badge"
+                          type="text"
+                          value={productEditDraft.badge}
+                          placeholder={t("admin.products.badgePlaceholder")}
+                          onChange={(event) => setProductEditDraft((prev) => ({ ...prev, badge: event.target.value }))}
+                        />
+
+                        <label htmlFor="edit-product-color">{t("admin.products.color")}</label>
+                        <input
+                          id="edit-product-color"
+                          type="color"
+                          value={productEditDraft.color}
+                          onChange={(event) => setProductEditDraft((prev) => ({ ...prev, color: event.target.value }))}
+                        />
+
+                        <label htmlFor="edit-product-image">{t("admin.products.replaceImage")}</label>
+                        <input
+                          id="edit-product-image"
+                          type="file"
+                          accept="image/*"
+                          onChange={(event) => setProductEditImageFile(event.target.files?.[0] || null)}
+                        />
+
+                        {productEditGallery.length > 0 && (
+                          <div className="product-thumbs">
+                            {productEditGallery.map((image) => (
+                              <div key={image.id} className="product-thumb">
+                                <img src={image.url} alt="" loading="lazy" />
+                                <button className="link-btn" type="button" onClick={() => removeProductImage(image)}>
+                                  {t("common.remove")}
+                                </button>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+
+                        <label htmlFor="edit-product-gallery">{t("admin.products.addGallery")}</label>
+                        <input
+                          id="edit-product-gallery"
+                          type="file"
+                          accept="image/*"
+                          multiple
+                          onChange={(event) => setProductEditGalleryFiles(Array.from(event.target.files || []))}
+                        />
+
+                        <div className="form-actions">
+                          <button className="btn" type="submit">
+                            {t("common.saveChanges")}
+                          </button>
+                          <button className="btn btn-ghost" type="button" onClick={cancelEditingProduct}>
+                            {t("common.cancel")}
+                          </button>
+                        </div>
+                      </form>
+                    ) : (
+                      <article key={product.id} className="order-row order-row-admin">
+                        <div>
+                          <strong>{product.name}</strong>
+                          <p>
+                            {product.category} • {formatCurrency(product.price)} •{" "}
+                            {t("admin.products.inStock", { count: product.stock })}
+                          </p>
+                        </div>
+                        <div className="order-admin-right">
+                          <div className="stock-edit-row">
+                            <input
+                              type="number"
+                              min="0"
+                              step="1"
+                              aria-label={t("admin.products.stockFor", { name: product.name })}
+                              value={stockDrafts[product.id] ?? String(product.stock)}
+                              onChange={(event) =>
+                                setStockDrafts((prev) => ({ ...prev, [product.id]: event.target.value }))
+                              }
+                            />
+                            <button
+                              className="btn btn-ghost btn-mini"
+                              type="button"
+                              onClick={() => updateProductStock(product.id)}
+                            >
+                              {t("common.save")}
+                            </button>
+                          </div>
+                          <button
+                            className="btn btn-ghost btn-mini"
+                            type="button"
+                            onClick={() => startEditingProduct(product)}
+                          >
+                            {t("common.edit")}
+                          </button>
+                          <button className="btn btn-danger" type="button" onClick={() => removeProduct(product.id)}>
+                            {t("common.delete")}
+                          </button>
+                        </div>
+                      </article>
+                    )
+                  )}
+                  {adminVisibleProducts.length === 0 && (
+                    <p className="empty-state">{adminProductList.loading ? t("admin.products.loading") : t("admin.products.empty")}</p>
+                  )}
                 </div>
+                {adminProductList.hasMore && (
+                  <div className="load-more-row">
+                    <button
+                      className="btn btn-ghost"
+                      type="button"
+                      onClick={adminProductList.loadMore}
+                      disabled={adminProductList.loading}
+                    >
+                      {adminProductList.loading ? t("common.loading") : t("admin.products.loadMore")}
+                    </button>
+                  </div>
+                )}
               </>
             )}
 
+            {adminSection === "returns" && (
+              <div className="order-list">
+                {pendingReturnOrders.map((order) => (
+                  <article key={order.id} className="order-row order-row-admin">
+                    <div>
+                      <Link to={orderPath(order.id)}>
+                        <strong>{order.id}</strong>
+                      </Link>
+                      <p>
+                        {order.userEmail} • {formatCurrency(order.total, orderMoney(order, displayMoney.locale))} •{" "}
+                        {t("admin.returns.requestedOn", { date: new Date(order.returnRequest.createdAt).toLocaleDateString() })}
+                      </p>
+                      <p className="muted">{t("admin.returns.reason", { reason: order.returnRequest.reason })}</p>
+                      <OrderLineItems items={order.lineItems} money={orderMoney(order, displayMoney.locale)} />
+                    </div>
+                    <div className="order-admin-right">
+                      <input
+                        type="text"
+                        placeholder={t("admin.returns.notePlaceholder")}
+                        aria-label={t("admin.returns.noteFor", { id: order.id })}
+                        value={returnNotes[order.id] || ""}
+                        onChange={(event) => setReturnNotes((prev) => ({ ...prev, [order.id]: event.target.value }))}
+                      />
+                      <div className="form-actions">
+                        <button className="btn btn-mini" type="button" onClick={() => resolveReturnRequest(order, "Approved")}>
+                          {t("admin.returns.approve")}
+                        </button>
+                        <button
+                          className="btn btn-danger btn-mini"
+                          type="button"
+                          onClick={() => resolveReturnRequest(order, "Rejected")}
+                        >
+                          {t("admin.returns.reject")}
+                        </button>
+                      </div>
+                    </div>
+                  </article>
+                ))}
+                {pendingReturnOrders.length === 0 && <p className="empty-state">{t("admin.returns.empty")}</p>}
+              </div>
+            )}
+
             {adminMessage && <p className="status">{adminMessage}</p>}
           </section>
         )}
 
         {activeTab === "profile" && (
           <section className="section-block">
-            <h2>Profile</h2>
-            <p className="muted">Signed in as: {user.phone || user.email || "Unknown user"}</p>
-            <p className="muted">Role: {userRole}</p>
+            <h2>{t("profile.title")}</h2>
+            <p className="muted">{t("profile.signedInAs", { account: user.phone || user.email || t("profile.unknownUser") })}</p>
+            <p className="muted">{t("profile.role", { role: ROLE_LABEL_KEYS[userRole] ? t(ROLE_LABEL_KEYS[userRole]) : userRole })}</p>
+
+            <section className="form-block">
+              <h3>{t("profile.language.title")}</h3>
+              <label htmlFor="preferences-language">{t("profile.language.label")}</label>
+              <select id="preferences-language" value={language} onChange={(event) => changeLanguage(event.target.value)}>
+                {LANGUAGES.map((option) => (
+                  <option key={option.code} value={option.code}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </section>
+
+            <form className="form-block" onSubmit={savePreferences}>
+              <h3>{t("profile.preferences.title")}</h3>
+              <label htmlFor="preferences-currency">{t("profile.preferences.currency")}</label>
+              <select
+                id="preferences-currency"
+                value={preferencesForm.currency}
+                onChange={(event) => setPreferencesDraft({ ...preferencesForm, currency: event.target.value })}
+              >
+                <option value="">{t("profile.preferences.storeDefault", { value: storeSettings.defaultCurrency })}</option>
+                {exchangeRates.map((exchangeRate) => (
+                  <option key={exchangeRate.currency} value={exchangeRate.currency}>
+                    {exchangeRate.currency}
+                  </option>
+                ))}
+              </select>
+
+              <label htmlFor="preferences-locale">{t("profile.preferences.locale")}</label>
+              <select
+                id="preferences-locale"
+                value={preferencesForm.locale}
+                onChange={(event) => setPreferencesDraft({ ...preferencesForm, locale: event.target.value })}
+              >
+                <option value="">
+                  {t("profile.preferences.storeDefault", { value: describeLocale(storeSettings.defaultLocale) })}
+                </option>
+                {LOCALE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+
+              <div className="form-actions">
+                <button className="btn" type="submit">
+                  {t("profile.preferences.save")}
+                </button>
+              </div>
+            </form>
+            {preferencesMessage && <p className="status">{preferencesMessage}</p>}
+
+            <div className="section-title-row">
+              <h3>{t("address.savedTitle")}</h3>
+              <span>{addresses.length}</span>
+            </div>
+            {addressesLoading && <p className="empty-state">{t("address.loading")}</p>}
+            <div className="order-list">
+              {addresses.map((address) => (
+                <article key={address.id} className="order-row order-row-admin">
+                  <div>
+                    <strong>
+                      {address.label || address.fullName}
+                      {address.isDefault && <span className="product-chip address-default">{t("common.default")}</span>}
+                    </strong>
+                    <p className="muted">{formatAddress(address)}</p>
+                  </div>
+                  <div className="order-admin-right">
+                    {!address.isDefault && (
+                      <button
+                        className="btn btn-ghost btn-mini"
+                        type="button"
+                        onClick={() => setDefaultAddress(address.id)}
+                      >
+                        {t("address.makeDefault")}
+                      </button>
+                    )}
+                    <button className="btn btn-ghost btn-mini" type="button" onClick={() => startEditingAddress(address)}>
+                      {t("common.edit")}
+                    </button>
+                    <button className="btn btn-danger btn-mini" type="button" onClick={() => removeAddress(address.id)}>
+                      {t("common.delete")}
+                    </button>
+                  </div>
+                </article>
+              ))}
+              {!addressesLoading && addresses.length === 0 && <p className="empty-state">{t("address.empty")}</p>}
+            </div>
+
+            <form className="form-block" onSubmit={saveAddress}>
+              <h3>{editingAddressId ? t("address.editTitle") : t("address.add")}</h3>
+              {ADDRESS_FIELDS.map((field) => (
+                <div key={field.key} className="form-field">
+                  <label htmlFor={`address-${field.key}`}>{t(`address.field.${field.key}`)}</label>
+                  <input
+                    id={`address-${field.key}`}
+                    type={field.key === "phone" ? "tel" : "text"}
+                    value={addressDraft[field.key]}
+                    placeholder={t(`address.placeholder.${field.key}`)}
+                    onChange={(event) => setAddressDraft((prev) => ({ ...prev, [field.key]: event.target.value }))}
+                  />
+                </div>
+              ))}
+              <div className="form-actions">
+                <button className="btn" type="submit">
+                  {editingAddressId ? t("address.save") : t("address.add")}
+                </button>
+                {editingAddressId && (
+                  <button className="btn btn-ghost" type="button" onClick={resetAddressForm}>
+                    {t("common.cancel")}
+                  </button>
+                )}
+              </div>
+            </form>
+            {addressMessage && <p className="status">{addressMessage}</p>}
           </section>
         )}
       </section>
 
-      <nav className="mobile-nav" aria-label="Primary">
+      {toast && (
+        <div key={toast.id} className="toast" role="status">
+          <span>{toast.message}</span>
+          <button className="btn btn-ghost btn-mini" type="button" onClick={() => setToast(null)}>
+            {t("common.dismiss")}
+          </button>
+        </div>
+      )}
+
+      <nav className="mobile-nav" aria-label={t("nav.label")}>
         <button
           className={activeTab === "products" ? "nav-btn active" : "nav-btn"}
-          onClick={() => setActiveTab("products")}
+          onClick={() => navigate("/products")}
           type="button"
         >
-          Products
+          {t("nav.products")}
         </button>
-        <button className={activeTab === "cart" ? "nav-btn active" : "nav-btn"} onClick={() => setActiveTab("cart")} type="button">
-          Cart ({cartItems.length})
+        <button className={activeTab === "cart" ? "nav-btn active" : "nav-btn"} onClick={() => navigate("/cart")} type="button">
+          {t("nav.cart", { count: cartItems.length })}
         </button>
-        <button className={activeTab === "orders" ? "nav-btn active" : "nav-btn"} onClick={() => setActiveTab("orders")} type="button">
-          Orders
+        <button className={activeTab === "orders" ? "nav-btn active" : "nav-btn"} onClick={() => navigate("/orders")} type="button">
+          {t("nav.orders")}
         </button>
-        {isAdmin && (
+        {hasAdminAccess && (
           <button
             className={activeTab === "admin" ? "nav-btn active" : "nav-btn"}
-            onClick={() => setActiveTab("admin")}
+            onClick={() => navigate(ADMIN_SECTION_PATHS[adminSection])}
             type="button"
           >
-            Admin
+            {t("nav.admin")}
           </button>
         )}
         <button
           className={activeTab === "profile" ? "nav-btn active" : "nav-btn"}
-          onClick={() => setActiveTab("profile")}
+          onClick={() => navigate("/profile")}
           type="button"
         >
-          Profile
+          {t("nav.profile")}
         </button>
       </nav>
     </main>
@@ -1007,24 +6156,33 @@ function Storefront({ user, userRole, onLogout }) {
 }
 
 export default function App() {
+  useLanguage();
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [isSignUp, setIsSignUp] = useState(false);
+  const [authView, setAuthView] = useState(AUTH_VIEW_PASSWORD);
+  const [otpCode, setOtpCode] = useState("");
+  const [otpSent, setOtpSent] = useState(false);
+  const [recoveryMode, setRecoveryMode] = useState(
+    () => window.location.pathname === RECOVERY_REDIRECT_PATH || window.location.hash.includes("type=recovery")
+  );
+  const [newPassword, setNewPassword] = useState("");
   const [user, setUser] = useState(null);
   const [userRole, setUserRole] = useState(ROLE_USER);
+  const [roleReady, setRoleReady] = useState(false);
   const [authReady, setAuthReady] = useState(false);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState("");
 
   const canSubmitAuth = useMemo(() => {
-    const hasValidEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
-    return hasValidEmail && password.trim().length >= 6;
+    return isValidEmail(email) && password.trim().length >= 6;
   }, [email, password]);
 
   useEffect(() => {
     let mounted = true;
     if (!hasSupabaseConfig || !supabase) {
       setAuthReady(true);
+      setRoleReady(true);
       return () => {
         mounted = false;
       };
@@ -1046,23 +6204,29 @@ export default function App() {
       } else {
         setUserRole(ROLE_USER);
       }
+      setRoleReady(true);
     };
 
     bootstrapSession();
 
-    const { data: authListener } = supabase.auth.onAuthStateChange(async (_event, session) => {
+    const { data: authListener } = supabase.auth.onAuthStateChange(async (event, session) => {
       if (!mounted) return;
+      if (event === "PASSWORD_RECOVERY") {
+        setRecoveryMode(true);
+      }
       const currentUser = session?.user ?? null;
       setUser(currentUser);
       setAuthReady(true);
       if (currentUser) {
         setUserRole(ROLE_USER);
+        setRoleReady(false);
         const role = await getUserRoleWithTimeout(currentUser);
         if (!mounted) return;
         setUserRole(role);
       } else {
         setUserRole(ROLE_USER);
       }
+      setRoleReady(true);
     });
 
     return () => {
@@ -1074,16 +6238,16 @@ export default function App() {
   const submitAuth = async (event) => {
     event.preventDefault();
     setMessage("");
-    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
-      setMessage("Enter a valid email address.");
+    if (!isValidEmail(email)) {
+      setMessage(t("auth.error.email"));
       return;
     }
     if (password.trim().length < 6) {
-      setMessage("Password must be at least 6 characters.");
+      setMessage(t("auth.error.passwordLength"));
       return;
     }
     if (!hasSupabaseConfig || !supabase) {
-      setMessage("Missing Supabase config. Add VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY.");
+      setMessage(t("auth.error.missingConfig"));
       return;
     }
     setLoading(true);
@@ -1100,40 +6264,199 @@ export default function App() {
       }
 
       if (isSignUp && !data.session) {
-        setMessage("Account created. Confirm your email, then sign in.");
+        setMessage(t("auth.confirmEmail"));
       } else {
-        setMessage(isSignUp ? "Account created and signed in." : "Signed in successfully.");
+        setMessage(isSignUp ? t("auth.signedUp") : t("auth.signedIn"));
+      }
+    } catch (error) {
+      setMessage(error?.message || t("auth.error.failed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Shared guard for the passwordless and reset flows, which only need a valid email and a configured client.
+  const checkEmailOnlyRequest = () => {
+    if (!isValidEmail(email)) {
+      setMessage(t("auth.error.email"));
+      return false;
+    }
+    if (!hasSupabaseConfig || !supabase) {
+      setMessage(t("auth.error.missingConfig"));
+      return false;
+    }
+    return true;
+  };
+
+  const requestPasswordReset = async (event) => {
+    event.preventDefault();
+    setMessage("");
+    if (!checkEmailOnlyRequest()) return;
+
+    setLoading(true);
+    try {
+      const { error } = await supabase.auth.resetPasswordForEmail(email.trim().toLowerCase(), {
+        redirectTo: `${window.location.origin}${RECOVERY_REDIRECT_PATH}`
+      });
+      if (error) throw error;
+      setMessage(t("auth.resetSent"));
+    } catch (error) {
+      setMessage(error?.message || t("auth.error.reset"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitEmailCode = async (event) => {
+    event.preventDefault();
+    setMessage("");
+    if (!checkEmailOnlyRequest()) return;
+
+    setLoading(true);
+    try {
+      const normalizedEmail = email.trim().toLowerCase();
+      if (!otpSent) {
+        const { error } = await supabase.auth.signInWithOtp({ email: normalizedEmail, options: { shouldCreateUser: true } });
+        if (error) throw error;
+        setOtpSent(true);
+        setMessage(t("auth.codeSent"));
+        return;
+      }
+
+      const token = otpCode.trim();
+      if (!/^\d{6,10}$/.test(token)) {
+        setMessage(t("auth.error.code"));
+        return;
       }
+      // onAuthStateChange picks up the new session; nothing else to do here.
+      const { error } = await supabase.auth.verifyOtp({ email: normalizedEmail, token, type: "email" });
+      if (error) throw error;
+    } catch (error) {
+      setMessage(error?.message || t("auth.error.emailCode"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const sendMagicLink = async (event) => {
+    event.preventDefault();
+    setMessage("");
+    if (!checkEmailOnlyRequest()) return;
+
+    setLoading(true);
+    try {
+      const { error } = await supabase.auth.signInWithOtp({
+        email: email.trim().toLowerCase(),
+        options: { shouldCreateUser: true, emailRedirectTo: window.location.origin }
+      });
+      if (error) throw error;
+      setMessage(t("auth.magicLinkSent"));
+    } catch (error) {
+      setMessage(error?.message || t("auth.error.magicLink"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitNewPassword = async (event) => {
+    event.preventDefault();
+    setMessage("");
+    if (newPassword.trim().length < 6) {
+      setMessage(t("auth.error.passwordLength"));
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const { error } = await supabase.auth.updateUser({ password: newPassword });
+      if (error) throw error;
+      setNewPassword("");
+      setRecoveryMode(false);
+      navigate("/products", { replace: true });
     } catch (error) {
-      setMessage(error?.message || "Authentication failed");
+      setMessage(error?.message || t("auth.error.updatePassword"));
     } finally {
       setLoading(false);
     }
   };
 
+  const switchAuthView = (nextView) => {
+    setAuthView(nextView);
+    setOtpSent(false);
+    setOtpCode("");
+    setMessage("");
+  };
+
+  const authSubmitHandlers = {
+    [AUTH_VIEW_PASSWORD]: submitAuth,
+    [AUTH_VIEW_RESET]: requestPasswordReset,
+    [AUTH_VIEW_EMAIL_CODE]: submitEmailCode,
+    [AUTH_VIEW_MAGIC_LINK]: sendMagicLink
+  };
+
+  const authSubmitLabel = {
+    [AUTH_VIEW_PASSWORD]: isSignUp ? t("auth.submit.signUp") : t("auth.submit.signIn"),
+    [AUTH_VIEW_RESET]: t("auth.submit.reset"),
+    [AUTH_VIEW_EMAIL_CODE]: otpSent ? t("auth.submit.verifyCode") : t("auth.submit.sendCode"),
+    [AUTH_VIEW_MAGIC_LINK]: t("auth.submit.magicLink")
+  }[authView];
+
   const handleLogout = async () => {
     if (supabase) {
       await supabase.auth.signOut();
     }
     setUser(null);
     setUserRole(ROLE_USER);
+    setRecoveryMode(false);
     setEmail("");
     setPassword("");
-    setMessage("Logged out.");
+    setMessage(t("auth.loggedOut"));
   };
 
   if (!authReady) {
     return (
       <main className="app-shell">
         <section className="auth-card">
-          <p className="subtitle">Checking session...</p>
+          <p className="subtitle">{t("auth.checkingSession")}</p>
+        </section>
+      </main>
+    );
+  }
+
+  if (recoveryMode && user) {
+    return (
+      <main className="app-shell">
+        <section className="auth-card">
+          <div className="login-head">
+            <h1>Streamline</h1>
+            <p className="subtitle">{t("auth.subtitle.newPassword")}</p>
+          </div>
+
+          <form onSubmit={submitNewPassword} className="form-block">
+            <label htmlFor="new-password">{t("auth.newPassword")}</label>
+            <input
+              id="new-password"
+              type="password"
+              placeholder={t("auth.newPasswordPlaceholder")}
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              autoComplete="new-password"
+              minLength={6}
+              required
+            />
+            <button className="btn" type="submit" disabled={newPassword.trim().length < 6 || loading}>
+              {loading ? t("common.pleaseWait") : t("auth.updatePassword")}
+            </button>
+          </form>
+
+          {message && <div className="status">{message}</div>}
         </section>
       </main>
     );
   }
 
   if (user) {
-    return <Storefront user={user} userRole={userRole} onLogout={handleLogout} />;
+    return <Storefront user={user} userRole={userRole} roleReady={roleReady} onLogout={handleLogout} />;
   }
 
   return (
@@ -1141,11 +6464,15 @@ export default function App() {
       <section className="auth-card">
         <div className="login-head">
           <h1>Streamline</h1>
-          <p className="subtitle">{isSignUp ? "Create account" : "Login with email and password"}</p>
+          <p className="subtitle">
+            {AUTH_VIEW_SUBTITLE_KEYS[authView]
+              ? t(AUTH_VIEW_SUBTITLE_KEYS[authView])
+              : t(isSignUp ? "auth.subtitle.signUp" : "auth.subtitle.signIn")}
+          </p>
         </div>
 
-        <form onSubmit={submitAuth} className="form-block">
-          <label htmlFor="email">Email Address</label>
+        <form onSubmit={authSubmitHandlers[authView]} className="form-block">
+          <label htmlFor="email">{t("auth.email")}</label>
           <input
             id="email"
             type="email"
@@ -1153,38 +6480,90 @@ export default function App() {
             value={email}
             onChange={(e) => setEmail(e.target.value)}
             autoComplete="email"
+            disabled={authView === AUTH_VIEW_EMAIL_CODE && otpSent}
             required
           />
 
-          <label htmlFor="password">Password</label>
-          <input
-            id="password"
-            type="password"
-            placeholder="Enter password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            autoComplete={isSignUp ? "new-password" : "current-password"}
-            minLength={6}
-            required
-          />
+          {authView === AUTH_VIEW_PASSWORD && (
+            <>
+              <label htmlFor="password">{t("auth.password")}</label>
+              <input
+                id="password"
+                type="password"
+                placeholder={t("auth.passwordPlaceholder")}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete={isSignUp ? "new-password" : "current-password"}
+                minLength={6}
+                required
+              />
+            </>
+          )}
 
-          <button className="btn" type="submit" disabled={!canSubmitAuth || loading}>
-            {loading ? "Please wait..." : isSignUp ? "Create Account" : "Sign In"}
-          </button>
+          {authView === AUTH_VIEW_EMAIL_CODE && otpSent && (
+            <>
+              <label htmlFor="otp-code">{t("auth.code")}</label>
+              <input
+                id="otp-code"
+                type="text"
+                inputMode="numeric"
+                placeholder={t("auth.codePlaceholder")}
+                value={otpCode}
+                onChange={(e) => setOtpCode(e.target.value)}
+                autoComplete="one-time-code"
+                required
+              />
+            </>
+          )}
 
           <button
-            className="btn btn-ghost"
-            type="button"
-            onClick={() => {
-              setIsSignUp((prev) => !prev);
-              setMessage("");
-            }}
-            disabled={loading}
+            className="btn"
+            type="submit"
+            disabled={(authView === AUTH_VIEW_PASSWORD ? !canSubmitAuth : !isValidEmail(email)) || loading}
           >
-            {isSignUp ? "Have an account? Sign In" : "New here? Create Account"}
+            {loading ? t("common.pleaseWait") : authSubmitLabel}
           </button>
+
+          {authView === AUTH_VIEW_PASSWORD && (
+            <button
+              className="btn btn-ghost"
+              type="button"
+              onClick={() => {
+                setIsSignUp((prev) => !prev);
+                setMessage("");
+              }}
+              disabled={loading}
+            >
+              {isSignUp ? t("auth.toggle.signIn") : t("auth.toggle.signUp")}
+            </button>
+          )}
+
+          {authView === AUTH_VIEW_EMAIL_CODE && otpSent && (
+            <button
+              className="btn btn-ghost"
+              type="button"
+              onClick={() => switchAuthView(AUTH_VIEW_EMAIL_CODE)}
+              disabled={loading}
+            >
+              {t("auth.differentEmail")}
+            </button>
+          )}
         </form>
 
+        <div className="auth-links">
+          {AUTH_VIEW_LINKS.filter((link) => link.view !== authView).map((link) => (
+            <button
+              key={link.view}
+              className="link-btn"
+              type="button"
+              onClick={() => switchAuthView(link.view)}
+              disabled={loading}
+            >
+              {t(link.labelKey)}
+            </button>
+          ))}
+        </div>
+
         {message && <div className="status">{message}</div>}
       </section>
     </main>
@@ -0,0 +1,90 @@
+import { useEffect, useState } from "react";
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const LANGUAGES = [
+  { code: "en", label: "English" },
+  { code: "hi", label: "हिन्दी" }
+];
+
+// Each catalog is its own chunk, fetched the first time its language is used.
+const CATALOG_LOADERS = {
+  en: () => import("./locales/en.json"),
+  hi: () => import("./locales/hi.json")
+};
+
+// Remembers the last language on this device, so the sign-in screen opens in it before a profile is loaded.
+const LANGUAGE_STORAGE_KEY = "streamline:language";
+
+const catalogs = {};
+const listeners = new Set();
+let currentLanguage = DEFAULT_LANGUAGE;
+let latestRequest = 0;
+
+export function isSupportedLanguage(code) {
+  return Object.hasOwn(CATALOG_LOADERS, code);
+}
+
+export function readStoredLanguage() {
+  try {
+    const stored = window.localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    return isSupportedLanguage(stored) ? stored : DEFAULT_LANGUAGE;
+  } catch (error) {
+    console.error("Failed to read stored language:", error.message);
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+async function loadCatalog(code) {
+  if (!catalogs[code]) {
+    const module = await CATALOG_LOADERS[code]();
+    catalogs[code] = module.default;
+  }
+  return catalogs[code];
+}
+
+// Switches only once the catalog has loaded, so no render sees a language without its strings. English is
+// loaded as well because keys missing from another catalog fall back to it. When calls overlap, the last one wins.
+export async function setLanguage(code) {
+  const language = isSupportedLanguage(code) ? code : DEFAULT_LANGUAGE;
+  const request = ++latestRequest;
+
+  await Promise.all([loadCatalog(DEFAULT_LANGUAGE), loadCatalog(language)]);
+  if (request !== latestRequest) return currentLanguage;
+
+  currentLanguage = language;
+  document.documentElement.lang = language;
+  try {
+    window.localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+  } catch (error) {
+    console.error("Failed to store language:", error.message);
+  }
+  listeners.forEach((listener) => listener(language));
+  return language;
+}
+
+// A catalog entry is either a string or, for counts, an object keyed by Intl.PluralRules category
+// ("one", "other", ...). `{name}` placeholders are filled from `params`; a missing key renders as itself.
+export function t(key, params = {}) {
+  const entry = catalogs[currentLanguage]?.[key] ?? catalogs[DEFAULT_LANGUAGE]?.[key];
+  if (entry === undefined) return key;
+
+  const template =
+    typeof entry === "string" ? entry : entry[new Intl.PluralRules(currentLanguage).select(Number(params.count))] ?? entry.other;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined || params[name] === null ? placeholder : String(params[name])
+  );
+}
+
+// Re-renders the caller when the language changes, the way useRoute() does for the URL.
+export function useLanguage() {
+  const [language, setLanguageState] = useState(currentLanguage);
+
+  useEffect(() => {
+    listeners.add(setLanguageState);
+    setLanguageState(currentLanguage);
+    return () => listeners.delete(setLanguageState);
+  }, []);
+
+  return language;
+}
@@ -1,10 +1,16 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App";
+import { readStoredLanguage, setLanguage } from "./i18n";
 import "./styles.css";
 
-ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
\ No newline at end of file
+// Render once the first catalog is in, so the UI never flashes untranslated keys.
+setLanguage(readStoredLanguage())
+  .catch((error) => console.error("Failed to load translations:", error.message))
+  .then(() => {
+    ReactDOM.createRoot(document.getElementById("root")).render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>
+    );
+  });
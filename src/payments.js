@@ -0,0 +1,74 @@
+import { supabase } from "./supabaseClient";
+
+export const PAYMENT_SELECT =
+  "id, order_id, provider, provider_ref, amount, currency, status, failure_reason, created_at, updated_at";
+
+// Checkout starts every payment through the create_payment_intent RPC, and the gateway reports the result to
+// confirm_payment from its webhook. A provider only says how the customer completes the payment in between:
+// `confirmsInBrowser` providers have no hosted page or webhook, so the checkout sends their result itself.
+// Labels are message catalog keys.
+export const PAYMENT_PROVIDERS = {
+  mock: {
+    id: "mock",
+    labelKey: "payment.provider.mock.label",
+    descriptionKey: "payment.provider.mock.description",
+    confirmsInBrowser: true
+  }
+};
+
+// SQLSTATE create_payment_intent raises when the provider is not configured or the mock provider is switched off.
+export const PAYMENT_PROVIDER_UNAVAILABLE_CODE = "PY503";
+
+export const DEFAULT_PAYMENT_PROVIDER = PAYMENT_PROVIDERS[import.meta.env.VITE_PAYMENT_PROVIDER]
+  ? import.meta.env.VITE_PAYMENT_PROVIDER
+  : "mock";
+
+export function normalizePayment(payment) {
+  return {
+    id: String(payment.id),
+    orderId: String(payment.order_id ?? payment.orderId),
+    provider: payment.provider,
+    providerRef: payment.provider_ref ?? payment.providerRef,
+    amount: Number(payment.amount) || 0,
+    currency: payment.currency || "INR",
+    status: ["succeeded", "failed", "refunded"].includes(payment.status) ? payment.status : "pending",
+    failureReason: payment.failure_reason ?? payment.failureReason ?? null,
+    createdAt: payment.created_at ?? payment.createdAt,
+    updatedAt: payment.updated_at ?? payment.updatedAt ?? payment.created_at ?? payment.createdAt
+  };
+}
+
+export async function createPaymentIntent(orderId, providerId = DEFAULT_PAYMENT_PROVIDER) {
+  return supabase.rpc("create_payment_intent", { order_id: orderId, provider: providerId }).single();
+}
+
+// Plays the gateway's part for providers without a webhook. The RPC refuses anything but the caller's own
+// mock payments, so real gateway results can only arrive from the server side.
+export async function confirmPaymentInBrowser(payment, outcome) {
+  return supabase
+    .rpc("confirm_payment", { provider: payment.provider, provider_ref: payment.providerRef, outcome })
+    .single();
+}
+
+// Local stand-ins for the two RPCs, used when Supabase is not configured.
+export function createLocalPaymentIntent(order, providerId = DEFAULT_PAYMENT_PROVIDER) {
+  const now = new Date().toISOString();
+  return normalizePayment({
+    id: `pay-${Date.now()}`,
+    order_id: order.id,
+    provider: providerId,
+    provider_ref: `${providerId}_${Date.now().toString(36)}`,
+    amount: order.total,
+    status: "pending",
+    created_at: now
+  });
+}
+
+export function confirmLocalPayment(payment, outcome) {
+  return {
+    ...payment,
+    status: outcome,
+    failureReason: outcome === "failed" ? "Payment declined" : null,
+    updatedAt: new Date().toISOString()
+  };
+}
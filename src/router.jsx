@@ -0,0 +1,93 @@
+import { useEffect, useMemo, useState } from "react";
+
+export const ADMIN_SECTION_PATHS = {
+  "add-product": "/admin/products/new",
+  "view-orders": "/admin/orders",
+  "manage-products": "/admin/products",
+  returns: "/admin/returns",
+  analytics: "/admin/analytics",
+  users: "/admin/users",
+  banners: "/admin/banners",
+  coupons: "/admin/coupons",
+  pricing: "/admin/pricing",
+  currencies: "/admin/currencies"
+};
+
+const ADMIN_SECTION_BY_PATH = Object.fromEntries(
+  Object.entries(ADMIN_SECTION_PATHS).map(([section, path]) => [path, section])
+);
+
+export function productPath(productId) {
+  return `/products/${encodeURIComponent(productId)}`;
+}
+
+export function orderPath(orderId) {
+  return `/orders/${encodeURIComponent(orderId)}`;
+}
+
+// Maps a pathname to { tab, productId?, orderId?, adminSection? }, or null when nothing matches.
+export function matchRoute(pathname) {
+  let segments;
+  try {
+    segments = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch {
+    // Malformed escapes such as /products/%E0 are treated as an unknown path rather than crashing the render.
+    return null;
+  }
+  const [head, ...rest] = segments;
+
+  switch (head) {
+    case "products":
+      if (rest.length === 0) return { tab: "products" };
+      if (rest.length === 1) return { tab: "products", productId: rest[0] };
+      return null;
+    case "cart":
+      return rest.length === 0 ? { tab: "cart" } : null;
+    case "orders":
+      if (rest.length === 0) return { tab: "orders" };
+      if (rest.length === 1) return { tab: "orders", orderId: rest[0] };
+      return null;
+    case "admin": {
+      if (rest.length === 0) return { tab: "admin", adminSection: null };
+      const adminSection = ADMIN_SECTION_BY_PATH[`/admin/${rest.join("/")}`];
+      return adminSection ? { tab: "admin", adminSection } : null;
+    }
+    case "profile":
+      return rest.length === 0 ? { tab: "profile" } : null;
+    default:
+      return null;
+  }
+}
+
+// pushState does not emit popstate, so dispatch one ourselves to keep every useRoute() in sync.
+export function navigate(to, { replace = false } = {}) {
+  if (to === window.location.pathname) return;
+  window.history[replace ? "replaceState" : "pushState"](null, "", to);
+  window.dispatchEvent(new PopStateEvent("popstate"));
+}
+
+export function useRoute() {
+  const [pathname, setPathname] = useState(() => window.location.pathname);
+
+  useEffect(() => {
+    const handlePopState = () => setPathname(window.location.pathname);
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  const route = useMemo(() => matchRoute(pathname), [pathname]);
+  return { pathname, route };
+}
+
+export function Link({ to, onClick, ...props }) {
+  const handleClick = (event) => {
+    onClick?.(event);
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+    event.preventDefault();
+    navigate(to);
+  };
+
+  return <a href={to} onClick={handleClick} {...props} />;
+}
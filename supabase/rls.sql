@@ -1,17 +1,100 @@
 -- Run this in Supabase SQL Editor.
--- It sets up role-based access where:
--- - new users default to role 'user'
--- - only admins can write products
--- - only admins can manage categories
--- - users cannot self-promote to admin
+-- It sets up permission-based access where:
+-- - new users default to role 'user', which has no staff permissions
+-- - each role grants permissions through public.role_permissions, checked by public.has_permission()
+-- - only roles with 'catalog.manage' can write products, categories and product images
+-- - only roles with 'orders.manage' can see everyone's orders and move them through fulfilment
+-- - only roles with 'users.manage' can change roles, so users cannot self-promote
 
 create table if not exists public.profiles (
   id uuid primary key references auth.users(id) on delete cascade,
   email text unique,
-  role text not null default 'user' check (role in ('user', 'admin')),
+  role text not null default 'user',
   created_at timestamptz not null default now()
 );
 
+-- Roles and the permissions they grant. Add a role by inserting it here and granting it permissions;
+-- src/App.jsx keeps a copy of these rows (ROLE_PERMISSIONS) to decide which admin sections to show.
+create table if not exists public.roles (
+  name text primary key check (name ~ '^[a-z_]+$'),
+  label text not null
+);
+
+create table if not exists public.role_permissions (
+  role text not null references public.roles(name) on delete cascade,
+  permission text not null check (permission in ('catalog.manage', 'orders.manage', 'analytics.view', 'users.manage')),
+  primary key (role, permission)
+);
+
+insert into public.roles (name, label)
+values
+  ('user', 'Customer'),
+  ('admin', 'Admin'),
+  ('catalog_manager', 'Catalog manager'),
+  ('fulfillment', 'Fulfillment')
+on conflict (name) do update set label = excluded.label;
+
+insert into public.role_permissions (role, permission)
+values
+  ('admin', 'catalog.manage'),
+  ('admin', 'orders.manage'),
+  ('admin', 'analytics.view'),
+  ('admin', 'users.manage'),
+  ('catalog_manager', 'catalog.manage'),
+  ('fulfillment', 'orders.manage')
+on conflict do nothing;
+
+-- profiles.role used to be limited to 'user'/'admin' by a check constraint; the roles table replaces it.
+alter table public.profiles drop constraint if exists profiles_role_check;
+alter table public.profiles drop constraint if exists profiles_role_fkey;
+alter table public.profiles
+  add constraint profiles_role_fkey foreign key (role) references public.roles(name) on update cascade;
+
+create or replace function public.has_permission(required_permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.profiles p
+    join public.role_permissions rp on rp.role = p.role
+    where p.id = auth.uid()
+      and rp.permission = required_permission
+  );
+$$;
+
+create or replace function public.current_user_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select p.role
+  from public.profiles p
+  where p.id = auth.uid();
+$$;
+
+alter table public.roles enable row level security;
+alter table public.role_permissions enable row level security;
+
+drop policy if exists "roles_select_authenticated" on public.roles;
+create policy "roles_select_authenticated"
+on public.roles
+for select
+to authenticated
+using (true);
+
+drop policy if exists "role_permissions_select_authenticated" on public.role_permissions;
+create policy "role_permissions_select_authenticated"
+on public.role_permissions
+for select
+to authenticated
+using (true);
+
 create or replace function public.handle_new_user()
 returns trigger
 language plpgsql
@@ -31,6 +114,7 @@ create trigger on_auth_user_created
 after insert on auth.users
 for each row execute function public.handle_new_user();
 
+-- Kept for existing custom policies; everything in this file checks has_permission() instead.
 create or replace function public.is_admin()
 returns boolean
 language sql
@@ -48,40 +132,175 @@ $$;
 
 alter table public.profiles enable row level security;
 
+-- Order staff read customer emails through the orders -> profiles embed.
 drop policy if exists "profiles_select_self_or_admin" on public.profiles;
-create policy "profiles_select_self_or_admin"
+drop policy if exists "profiles_select_self_or_staff" on public.profiles;
+create policy "profiles_select_self_or_staff"
 on public.profiles
 for select
 to authenticated
-using (id = auth.uid() or public.is_admin());
+using (
+  id = auth.uid()
+  or public.has_permission('users.manage')
+  or public.has_permission('orders.manage')
+);
 
 drop policy if exists "profiles_insert_self_user_or_admin" on public.profiles;
-create policy "profiles_insert_self_user_or_admin"
+drop policy if exists "profiles_insert_self_user_or_user_managers" on public.profiles;
+create policy "profiles_insert_self_user_or_user_managers"
 on public.profiles
 for insert
 to authenticated
 with check (
   (id = auth.uid() and role = 'user')
-  or public.is_admin()
+  or public.has_permission('users.manage')
 );
 
 drop policy if exists "profiles_update_self_user_or_admin" on public.profiles;
-create policy "profiles_update_self_user_or_admin"
+drop policy if exists "profiles_update_self_user_or_user_managers" on public.profiles;
+create policy "profiles_update_self_user_or_user_managers"
 on public.profiles
 for update
 to authenticated
-using (id = auth.uid() or public.is_admin())
+using (id = auth.uid() or public.has_permission('users.manage'))
 with check (
-  (id = auth.uid() and role = 'user')
-  or public.is_admin()
+  (id = auth.uid() and role = public.current_user_role())
+  or public.has_permission('users.manage')
 );
 
 drop policy if exists "profiles_delete_admin_only" on public.profiles;
-create policy "profiles_delete_admin_only"
+drop policy if exists "profiles_delete_user_managers_only" on public.profiles;
+create policy "profiles_delete_user_managers_only"
 on public.profiles
 for delete
 to authenticated
-using (public.is_admin());
+using (public.has_permission('users.manage'));
+
+-- Role changes: every promotion or demotion is logged, and the last admin cannot be demoted or deleted,
+-- whether the change comes from set_user_role() or a direct update by a role with 'users.manage'.
+create table if not exists public.role_changes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  from_role text not null,
+  to_role text not null,
+  changed_by uuid,
+  changed_at timestamptz not null default now(),
+  constraint role_changes_user_id_fkey foreign key (user_id) references public.profiles(id) on delete cascade,
+  constraint role_changes_changed_by_fkey foreign key (changed_by) references public.profiles(id) on delete set null
+);
+
+create index if not exists role_changes_changed_at_idx on public.role_changes(changed_at desc);
+
+create or replace function public.protect_last_admin()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if old.role = 'admin'
+    and (tg_op = 'DELETE' or new.role is distinct from 'admin') then
+    -- Lock the admin rows so two admins demoting each other at once cannot both succeed.
+    perform 1 from public.profiles p where p.role = 'admin' for update;
+
+    if not exists (select 1 from public.profiles p where p.role = 'admin' and p.id <> old.id) then
+      raise exception 'Cannot remove the last admin';
+    end if;
+  end if;
+
+  return case when tg_op = 'DELETE' then old else new end;
+end;
+$$;
+
+drop trigger if exists profiles_protect_last_admin on public.profiles;
+create trigger profiles_protect_last_admin
+before update of role or delete on public.profiles
+for each row execute function public.protect_last_admin();
+
+create or replace function public.record_role_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.role is distinct from old.role then
+    insert into public.role_changes (user_id, from_role, to_role, changed_by)
+    values (new.id, old.role, new.role, auth.uid());
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists profiles_record_role_change on public.profiles;
+create trigger profiles_record_role_change
+after update of role on public.profiles
+for each row execute function public.record_role_change();
+
+alter table public.role_changes enable row level security;
+
+drop policy if exists "role_changes_select_admin_only" on public.role_changes;
+drop policy if exists "role_changes_select_user_managers_only" on public.role_changes;
+create policy "role_changes_select_user_managers_only"
+on public.role_changes
+for select
+to authenticated
+using (public.has_permission('users.manage'));
+
+create or replace function public.set_user_role(target_user_id uuid, new_role text)
+returns public.profiles
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  updated_profile public.profiles;
+begin
+  if not public.has_permission('users.manage') then
+    raise exception 'You are not allowed to change roles';
+  end if;
+
+  if not exists (select 1 from public.roles r where r.name = new_role) then
+    raise exception 'Unknown role %', new_role;
+  end if;
+
+  update public.profiles p
+  set role = new_role
+  where p.id = target_user_id
+  returning * into updated_profile;
+
+  if updated_profile.id is null then
+    raise exception 'User not found';
+  end if;
+
+  return updated_profile;
+end;
+$$;
+
+revoke execute on function public.set_user_role(uuid, text) from public, anon;
+grant execute on function public.set_user_role(uuid, text) to authenticated;
+
+-- Units available to sell. place_order() decrements it and refuses orders that exceed it. Products that exist
+-- when the column is first added start with 100 units so the store keeps selling; new products default to 0.
+do $$
+begin
+  if not exists (
+    select 1
+    from information_schema.columns
+    where table_schema = 'public'
+      and table_name = 'products'
+      and column_name = 'stock'
+  ) then
+    alter table public.products add column stock integer not null default 100;
+  end if;
+end;
+$$;
+
+alter table public.products alter column stock set default 0;
+
+alter table public.products drop constraint if exists products_stock_non_negative;
+alter table public.products add constraint products_stock_non_negative check (stock >= 0);
 
 alter table public.products enable row level security;
 
@@ -93,53 +312,36 @@ to authenticated
 using (true);
 
 drop policy if exists "products_insert_admin_only" on public.products;
-create policy "products_insert_admin_only"
+drop policy if exists "products_insert_catalog_staff_only" on public.products;
+create policy "products_insert_catalog_staff_only"
 on public.products
 for insert
 to authenticated
 with check (
-  exists (
-    select 1
-    from public.profiles p
-    where p.id = auth.uid()
-      and p.role = 'admin'
-  )
+  public.has_permission('catalog.manage')
 );
 
 drop policy if exists "products_update_admin_only" on public.products;
-create policy "products_update_admin_only"
+drop policy if exists "products_update_catalog_staff_only" on public.products;
+create policy "products_update_catalog_staff_only"
 on public.products
 for update
 to authenticated
 using (
-  exists (
-    select 1
-    from public.profiles p
-    where p.id = auth.uid()
-      and p.role = 'admin'
-  )
+  public.has_permission('catalog.manage')
 )
 with check (
-  exists (
-    select 1
-    from public.profiles p
-    where p.id = auth.uid()
-      and p.role = 'admin'
-  )
+  public.has_permission('catalog.manage')
 );
 
 drop policy if exists "products_delete_admin_only" on public.products;
-create policy "products_delete_admin_only"
+drop policy if exists "products_delete_catalog_staff_only" on public.products;
+create policy "products_delete_catalog_staff_only"
 on public.products
 for delete
 to authenticated
 using (
-  exists (
-    select 1
-    from public.profiles p
-    where p.id = auth.uid()
-      and p.role = 'admin'
-  )
+  public.has_permission('catalog.manage')
 );
 
 create table if not exists public.categories (
@@ -158,6 +360,53 @@ on conflict (name) do nothing;
 
 create index if not exists categories_name_idx on public.categories(name);
 
+-- Products reference categories by id so a category can be renamed without touching its products.
+-- Migrates the old products.category name column: missing categories are created, then the column is dropped.
+alter table public.products add column if not exists category_id uuid references public.categories(id) on delete restrict;
+
+do $$
+begin
+  if exists (
+    select 1
+    from information_schema.columns
+    where table_schema = 'public'
+      and table_name = 'products'
+      and column_name = 'category'
+  ) then
+    insert into public.categories (name)
+    select distinct btrim(p.category)
+    from public.products p
+    where char_length(btrim(coalesce(p.category, ''))) > 0
+    on conflict (name) do nothing;
+
+    update public.products p
+    set category_id = c.id
+    from public.categories c
+    where p.category_id is null
+      and c.name = btrim(p.category);
+
+    alter table public.products drop column category;
+  end if;
+
+  -- Products with a null or blank category go to a fallback category so category_id can be made not null.
+  if exists (select 1 from public.products p where p.category_id is null) then
+    insert into public.categories (name)
+    values ('Uncategorized')
+    on conflict (name) do nothing;
+
+    update public.products p
+    set category_id = c.id
+    from public.categories c
+    where p.category_id is null
+      and c.name = 'Uncategorized';
+  end if;
+end;
+$$;
+
+alter table public.products alter column category_id set not null;
+
+create index if not exists products_category_id_idx on public.products(category_id);
+
 alter table public.categories enable row level security;
 
 drop policy if exists "categories_select_authenticated" on public.categories;
@@ -168,33 +417,36 @@ to authenticated
 using (true);
 
 drop policy if exists "categories_insert_admin_only" on public.categories;
-create policy "categories_insert_admin_only"
+drop policy if exists "categories_insert_catalog_staff_only" on public.categories;
+create policy "categories_insert_catalog_staff_only"
 on public.categories
 for insert
 to authenticated
 with check (
-  public.is_admin()
+  public.has_permission('catalog.manage')
 );
 
 drop policy if exists "categories_update_admin_only" on public.categories;
-create policy "categories_update_admin_only"
+drop policy if exists "categories_update_catalog_staff_only" on public.categories;
+create policy "categories_update_catalog_staff_only"
 on public.categories
 for update
 to authenticated
 using (
-  public.is_admin()
+  public.has_permission('catalog.manage')
 )
 with check (
-  public.is_admin()
+  public.has_permission('catalog.manage')
 );
 
 drop policy if exists "categories_delete_admin_only" on public.categories;
-create policy "categories_delete_admin_only"
+drop policy if exists "categories_delete_catalog_staff_only" on public.categories;
+create policy "categories_delete_catalog_staff_only"
 on public.categories
 for delete
 to authenticated
 using (
-  public.is_admin()
+  public.has_permission('catalog.manage')
 );
 
 create table if not exists public.orders (
@@ -207,137 +459,1805 @@ create table if not exists public.orders (
   created_at timestamptz not null default now()
 );
 
+-- Snapshot of the delivery address taken when the order is placed, so later address edits do not rewrite history.
+alter table public.orders add column if not exists shipping_address jsonb;
+
+-- Set by place_order() when it takes the order's items out of stock. Orders placed before stock was tracked never
+-- did, so cancelling them must not put anything back.
+alter table public.orders add column if not exists stock_reserved boolean not null default false;
+
 create index if not exists orders_user_id_idx on public.orders(user_id);
 create index if not exists orders_status_idx on public.orders(status);
 create index if not exists orders_created_at_idx on public.orders(created_at desc);
 
+-- Order status lifecycle: Placed -> Processing -> Shipped -> Delivered, with Cancelled allowed before Shipped.
+create or replace function public.order_status_transition_allowed(from_status text, to_status text)
+returns boolean
+language sql
+immutable
+as $$
+  select (from_status, to_status) in (
+    ('Placed', 'Processing'),
+    ('Processing', 'Shipped'),
+    ('Shipped', 'Delivered'),
+    ('Placed', 'Cancelled'),
+    ('Processing', 'Cancelled')
+  );
+$$;
+
+create or replace function public.enforce_order_status_transition()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if new.status is distinct from old.status
+    and not public.order_status_transition_allowed(old.status, new.status) then
+    raise exception 'Order status cannot change from % to %', old.status, new.status;
+  end if;
+
+  -- Orders wait in Placed until a payment for them succeeds (see public.confirm_payment()).
+  if old.status = 'Placed' and new.status = 'Processing' and not exists (
+    select 1
+    from public.payments pay
+    where pay.order_id = new.id
+      and pay.status = 'succeeded'
+  ) then
+    raise exception 'Order % cannot be processed until its payment succeeds', new.id;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_enforce_status_transition on public.orders;
+create trigger orders_enforce_status_transition
+before update of status on public.orders
+for each row execute function public.enforce_order_status_transition();
+
+-- Audit trail of every status an order has been in, written only by the trigger below.
+create table if not exists public.order_status_history (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders(id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  changed_by uuid references public.profiles(id) on delete set null,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists order_status_history_order_id_idx on public.order_status_history(order_id, changed_at);
+
+create or replace function public.record_order_status_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' or new.status is distinct from old.status then
+    insert into public.order_status_history (order_id, from_status, to_status, changed_by)
+    values (new.id, case when tg_op = 'UPDATE' then old.status end, new.status, auth.uid());
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists orders_record_status_change on public.orders;
+create trigger orders_record_status_change
+after insert or update of status on public.orders
+for each row execute function public.record_order_status_change();
+
+-- Give orders created before the history table existed a starting entry.
+insert into public.order_status_history (order_id, from_status, to_status, changed_by, changed_at)
+select o.id, null, o.status, null, o.created_at
+from public.orders o
+where not exists (
+  select 1
+  from public.order_status_history h
+  where h.order_id = o.id
+);
+
+alter table public.order_status_history enable row level security;
+
+drop policy if exists "order_status_history_select_own_or_admin" on public.order_status_history;
+drop policy if exists "order_status_history_select_own_or_order_staff" on public.order_status_history;
+create policy "order_status_history_select_own_or_order_staff"
+on public.order_status_history
+for select
+to authenticated
+using (
+  exists (
+    select 1
+    from public.orders o
+    where o.id = order_id
+      and o.user_id = auth.uid()
+  )
+  or public.has_permission('orders.manage')
+);
+
 alter table public.orders enable row level security;
 
 drop policy if exists "orders_select_own_or_admin" on public.orders;
-create policy "orders_select_own_or_admin"
+drop policy if exists "orders_select_own_or_order_staff" on public.orders;
+create policy "orders_select_own_or_order_staff"
 on public.orders
 for select
 to authenticated
 using (
   user_id = auth.uid()
-  or exists (
-    select 1
-    from public.profiles p
-    where p.id = auth.uid()
-      and p.role = 'admin'
-  )
+  or public.has_permission('orders.manage')
 );
 
+-- Customers create orders only through public.place_order(), which prices them server-side.
 drop policy if exists "orders_insert_own_or_admin" on public.orders;
-create policy "orders_insert_own_or_admin"
+drop policy if exists "orders_insert_admin_only" on public.orders;
+drop policy if exists "orders_insert_order_staff_only" on public.orders;
+create policy "orders_insert_order_staff_only"
 on public.orders
 for insert
 to authenticated
 with check (
-  user_id = auth.uid()
-  or exists (
-    select 1
-    from public.profiles p
-    where p.id = auth.uid()
-      and p.role = 'admin'
-  )
+  public.has_permission('orders.manage')
 );
 
 drop policy if exists "orders_update_admin_only" on public.orders;
-create policy "orders_update_admin_only"
+drop policy if exists "orders_update_order_staff_only" on public.orders;
+create policy "orders_update_order_staff_only"
 on public.orders
 for update
 to authenticated
 using (
-  exists (
-    select 1
-    from public.profiles p
-    where p.id = auth.uid()
-      and p.role = 'admin'
-  )
+  public.has_permission('orders.manage')
 )
 with check (
-  exists (
-    select 1
-    from public.profiles p
-    where p.id = auth.uid()
-      and p.role = 'admin'
-  )
+  public.has_permission('orders.manage')
 );
 
 drop policy if exists "orders_delete_admin_only" on public.orders;
-create policy "orders_delete_admin_only"
+drop policy if exists "orders_delete_order_staff_only" on public.orders;
+create policy "orders_delete_order_staff_only"
 on public.orders
 for delete
 to authenticated
 using (
-  exists (
-    select 1
-    from public.profiles p
-    where p.id = auth.uid()
-      and p.role = 'admin'
-  )
+  public.has_permission('orders.manage')
 );
 
--- Storage RLS for product images bucket.
--- If you upload an image while adding a product, storage.objects policies must also allow it.
-drop policy if exists "product_images_select_public" on storage.objects;
-create policy "product_images_select_public"
-on storage.objects
-for select
-to public
-using (bucket_id = 'product-images');
+create table if not exists public.order_items (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders(id) on delete cascade,
+  product_id text not null,
+  product_name text not null check (char_length(btrim(product_name)) > 0),
+  unit_price numeric(12, 2) not null check (unit_price >= 0),
+  quantity integer not null check (quantity > 0),
+  created_at timestamptz not null default now()
+);
 
-drop policy if exists "product_images_admin_insert" on storage.objects;
-create policy "product_images_admin_insert"
-on storage.objects
-for insert
+create index if not exists order_items_order_id_idx on public.order_items(order_id);
+
+alter table public.order_items enable row level security;
+
+drop policy if exists "order_items_select_own_or_admin" on public.order_items;
+drop policy if exists "order_items_select_own_or_order_staff" on public.order_items;
+create policy "order_items_select_own_or_order_staff"
+on public.order_items
+for select
 to authenticated
-with check (
-  bucket_id = 'product-images'
-  and exists (
+using (
+  exists (
     select 1
-    from public.profiles p
-    where p.id = auth.uid()
-      and p.role = 'admin'
+    from public.orders o
+    where o.id = order_id
+      and o.user_id = auth.uid()
   )
+  or public.has_permission('orders.manage')
 );
 
-drop policy if exists "product_images_admin_update" on storage.objects;
-create policy "product_images_admin_update"
-on storage.objects
+drop policy if exists "order_items_insert_own_or_admin" on public.order_items;
+drop policy if exists "order_items_insert_admin_only" on public.order_items;
+drop policy if exists "order_items_insert_order_staff_only" on public.order_items;
+create policy "order_items_insert_order_staff_only"
+on public.order_items
+for insert
+to authenticated
+with check (public.has_permission('orders.manage'));
+
+drop policy if exists "order_items_update_admin_only" on public.order_items;
+drop policy if exists "order_items_update_order_staff_only" on public.order_items;
+create policy "order_items_update_order_staff_only"
+on public.order_items
 for update
 to authenticated
-using (
-  bucket_id = 'product-images'
-  and exists (
-    select 1
-    from public.profiles p
-    where p.id = auth.uid()
-      and p.role = 'admin'
-  )
-)
-with check (
-  bucket_id = 'product-images'
-  and exists (
-    select 1
-    from public.profiles p
-    where p.id = auth.uid()
-      and p.role = 'admin'
-  )
-);
+using (public.has_permission('orders.manage'))
+with check (public.has_permission('orders.manage'));
 
-drop policy if exists "product_images_admin_delete" on storage.objects;
-create policy "product_images_admin_delete"
-on storage.objects
+drop policy if exists "order_items_delete_admin_only" on public.order_items;
+drop policy if exists "order_items_delete_order_staff_only" on public.order_items;
+create policy "order_items_delete_order_staff_only"
+on public.order_items
 for delete
 to authenticated
-using (
-  bucket_id = 'product-images'
-  and exists (
-    select 1
-    from public.profiles p
-    where p.id = auth.uid()
-      and p.role = 'admin'
+using (public.has_permission('orders.manage'));
+
+-- Saved delivery addresses. At most one per user is the default (enforced by a partial unique index).
+create table if not exists public.addresses (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles(id) on delete cascade,
+  label text,
+  full_name text not null check (char_length(btrim(full_name)) > 0),
+  phone text not null check (char_length(btrim(phone)) > 0),
+  line1 text not null check (char_length(btrim(line1)) > 0),
+  line2 text,
+  city text not null check (char_length(btrim(city)) > 0),
+  state text not null check (char_length(btrim(state)) > 0),
+  postal_code text not null check (char_length(btrim(postal_code)) > 0),
+  country text not null default 'India',
+  is_default boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists addresses_user_id_idx on public.addresses(user_id);
+create unique index if not exists addresses_one_default_per_user_idx on public.addresses(user_id) where is_default;
+
+alter table public.addresses enable row level security;
+
+drop policy if exists "addresses_select_own_or_admin" on public.addresses;
+drop policy if exists "addresses_select_own_or_order_staff" on public.addresses;
+create policy "addresses_select_own_or_order_staff"
+on public.addresses
+for select
+to authenticated
+using (user_id = auth.uid() or public.has_permission('orders.manage'));
+
+drop policy if exists "addresses_insert_own" on public.addresses;
+create policy "addresses_insert_own"
+on public.addresses
+for insert
+to authenticated
+with check (user_id = auth.uid());
+
+drop policy if exists "addresses_update_own" on public.addresses;
+create policy "addresses_update_own"
+on public.addresses
+for update
+to authenticated
+using (user_id = auth.uid())
+with check (user_id = auth.uid());
+
+drop policy if exists "addresses_delete_own" on public.addresses;
+create policy "addresses_delete_own"
+on public.addresses
+for delete
+to authenticated
+using (user_id = auth.uid());
+
+-- Moves the default flag atomically: clear the old default first so the partial unique index never sees two.
+create or replace function public.set_default_address(address_id uuid)
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1
+    from public.addresses a
+    where a.id = set_default_address.address_id
+      and a.user_id = auth.uid()
+  ) then
+    raise exception 'Address not found';
+  end if;
+
+  update public.addresses a
+  set is_default = false
+  where a.user_id = auth.uid()
+    and a.is_default
+    and a.id <> set_default_address.address_id;
+
+  update public.addresses a
+  set is_default = true
+  where a.id = set_default_address.address_id;
+end;
+$$;
+
+grant execute on function public.set_default_address(uuid) to authenticated;
+
+-- Discount codes. Only catalog staff read the table; customers check a code through public.quote_coupon().
+-- An empty category_ids list means the coupon applies to every product.
+create table if not exists public.coupons (
+  id uuid primary key default gen_random_uuid(),
+  code text not null check (code ~ '^[A-Z0-9_-]{3,32}$'),
+  discount_type text not null check (discount_type in ('percent', 'fixed')),
+  discount_value numeric(12, 2) not null check (discount_value > 0),
+  min_order numeric(12, 2) not null default 0 check (min_order >= 0),
+  expires_at timestamptz,
+  max_uses integer check (max_uses is null or max_uses > 0),
+  max_uses_per_user integer check (max_uses_per_user is null or max_uses_per_user > 0),
+  category_ids uuid[] not null default '{}',
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  constraint coupons_percent_range check (discount_type <> 'percent' or discount_value <= 100)
+);
+
+create unique index if not exists coupons_code_key on public.coupons(code);
+
+alter table public.coupons enable row level security;
+
+drop policy if exists "coupons_select_catalog_staff_only" on public.coupons;
+create policy "coupons_select_catalog_staff_only"
+on public.coupons
+for select
+to authenticated
+using (public.has_permission('catalog.manage'));
+
+drop policy if exists "coupons_insert_catalog_staff_only" on public.coupons;
+create policy "coupons_insert_catalog_staff_only"
+on public.coupons
+for insert
+to authenticated
+with check (public.has_permission('catalog.manage'));
+
+drop policy if exists "coupons_update_catalog_staff_only" on public.coupons;
+create policy "coupons_update_catalog_staff_only"
+on public.coupons
+for update
+to authenticated
+using (public.has_permission('catalog.manage'))
+with check (public.has_permission('catalog.manage'));
+
+drop policy if exists "coupons_delete_catalog_staff_only" on public.coupons;
+create policy "coupons_delete_catalog_staff_only"
+on public.coupons
+for delete
+to authenticated
+using (public.has_permission('catalog.manage'));
+
+-- total is what the customer pays: subtotal minus the coupon discount. Older orders had no discounts.
+alter table public.orders add column if not exists subtotal numeric(12, 2) check (subtotal >= 0);
+alter table public.orders add column if not exists discount numeric(12, 2) not null default 0 check (discount >= 0);
+alter table public.orders add column if not exists coupon_id uuid references public.coupons(id) on delete set null;
+alter table public.orders add column if not exists coupon_code text;
+
+update public.orders
+set subtotal = total
+where subtotal is null;
+
+create index if not exists orders_coupon_id_idx on public.orders(coupon_id) where coupon_id is not null;
+
+-- Prices a coupon against a cart for the signed-in user and raises a readable error when it cannot be used.
+-- Cancelled orders give their use back. public.price_order() runs it for the cart and for place_order().
+create or replace function public.quote_coupon(code text, items jsonb)
+returns table (coupon_id uuid, coupon_code text, discount numeric)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  coupon public.coupons;
+  normalized_code text := upper(btrim(coalesce(quote_coupon.code, '')));
+  order_subtotal numeric;
+  eligible_subtotal numeric;
+  times_used integer;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select c.*
+  into coupon
+  from public.coupons c
+  where c.code = normalized_code;
+
+  if coupon.id is null or not coupon.is_active then
+    raise exception 'Coupon % is not valid', normalized_code;
+  end if;
+
+  if coupon.expires_at is not null and coupon.expires_at <= now() then
+    raise exception 'Coupon % has expired', coupon.code;
+  end if;
+
+  select
+    coalesce(sum(p.price * requested.quantity), 0),
+    coalesce(sum(p.price * requested.quantity) filter (
+      where cardinality(coupon.category_ids) = 0 or p.category_id = any(coupon.category_ids)
+    ), 0)
+  into order_subtotal, eligible_subtotal
+  from jsonb_to_recordset(items) as requested(product_id text, quantity integer)
+  join public.products p on p.id::text = requested.product_id
+  where requested.quantity > 0;
+
+  if order_subtotal < coupon.min_order then
+    raise exception 'Coupon % needs an order of at least %', coupon.code, coupon.min_order;
+  end if;
+
+  if eligible_subtotal = 0 then
+    raise exception 'Coupon % does not apply to the items in your cart', coupon.code;
+  end if;
+
+  if coupon.max_uses is not null then
+    select count(*)
+    into times_used
+    from public.orders o
+    where o.coupon_id = coupon.id
+      and o.status <> 'Cancelled';
+
+    if times_used >= coupon.max_uses then
+      raise exception 'Coupon % has been fully redeemed', coupon.code;
+    end if;
+  end if;
+
+  if coupon.max_uses_per_user is not null then
+    select count(*)
+    into times_used
+    from public.orders o
+    where o.coupon_id = coupon.id
+      and o.user_id = auth.uid()
+      and o.status <> 'Cancelled';
+
+    if times_used >= coupon.max_uses_per_user then
+      raise exception 'You have already used coupon % the maximum number of times', coupon.code;
+    end if;
+  end if;
+
+  return query
+  select
+    coupon.id,
+    coupon.code,
+    least(
+      eligible_subtotal,
+      case
+        when coupon.discount_type = 'percent' then round(eligible_subtotal * coupon.discount_value / 100, 2)
+        else coupon.discount_value
+      end
+    );
+end;
+$$;
+
+revoke execute on function public.quote_coupon(text, jsonb) from public, anon;
+grant execute on function public.quote_coupon(text, jsonb) to authenticated;
+
+-- GST rate for products in a category, in percent. Null uses store_settings.default_tax_rate.
+alter table public.categories add column if not exists tax_rate numeric(5, 2) check (tax_rate between 0 and 100);
+
+-- Store-wide tax and shipping settings. The table holds a single row keyed by id = true.
+create table if not exists public.store_settings (
+  id boolean primary key default true check (id),
+  default_tax_rate numeric(5, 2) not null default 18 check (default_tax_rate between 0 and 100),
+  shipping_fee numeric(12, 2) not null default 99 check (shipping_fee >= 0),
+  free_shipping_threshold numeric(12, 2) default 999 check (free_shipping_threshold >= 0),
+  updated_at timestamptz not null default now()
+);
+
+insert into public.store_settings (id)
+values (true)
+on conflict (id) do nothing;
+
+alter table public.store_settings enable row level security;
+
+drop policy if exists "store_settings_select_authenticated" on public.store_settings;
+create policy "store_settings_select_authenticated"
+on public.store_settings
+for select
+to authenticated
+using (true);
+
+drop policy if exists "store_settings_update_catalog_staff_only" on public.store_settings;
+create policy "store_settings_update_catalog_staff_only"
+on public.store_settings
+for update
+to authenticated
+using (public.has_permission('catalog.manage'))
+with check (public.has_permission('catalog.manage'));
+
+-- Product prices and order amounts are stored in INR. Each row converts 1 INR into a currency customers can
+-- choose to see prices in; the INR row is fixed at 1 and cannot be deleted.
+create table if not exists public.exchange_rates (
+  currency text primary key check (currency ~ '^[A-Z]{3}$'),
+  rate numeric(18, 8) not null check (rate > 0),
+  updated_at timestamptz not null default now(),
+  constraint exchange_rates_base_rate check (currency <> 'INR' or rate = 1)
+);
+
+insert into public.exchange_rates (currency, rate)
+values
+  ('INR', 1),
+  ('USD', 0.012),
+  ('EUR', 0.011),
+  ('GBP', 0.0095)
+on conflict (currency) do nothing;
+
+alter table public.exchange_rates enable row level security;
+
+drop policy if exists "exchange_rates_select_authenticated" on public.exchange_rates;
+create policy "exchange_rates_select_authenticated"
+on public.exchange_rates
+for select
+to authenticated
+using (true);
+
+drop policy if exists "exchange_rates_insert_catalog_staff_only" on public.exchange_rates;
+create policy "exchange_rates_insert_catalog_staff_only"
+on public.exchange_rates
+for insert
+to authenticated
+with check (public.has_permission('catalog.manage'));
+
+drop policy if exists "exchange_rates_update_catalog_staff_only" on public.exchange_rates;
+create policy "exchange_rates_update_catalog_staff_only"
+on public.exchange_rates
+for update
+to authenticated
+using (public.has_permission('catalog.manage'))
+with check (public.has_permission('catalog.manage'));
+
+drop policy if exists "exchange_rates_delete_catalog_staff_only" on public.exchange_rates;
+create policy "exchange_rates_delete_catalog_staff_only"
+on public.exchange_rates
+for delete
+to authenticated
+using (currency <> 'INR' and public.has_permission('catalog.manage'));
+
+-- Display preferences. A null profile currency or locale falls back to the store default.
+alter table public.store_settings
+  add column if not exists default_currency text not null default 'INR' references public.exchange_rates(currency);
+alter table public.store_settings
+  add column if not exists default_locale text not null default 'en-IN' check (default_locale ~ '^[a-z]{2,3}(-[A-Z]{2})?$');
+alter table public.profiles
+  add column if not exists currency text references public.exchange_rates(currency) on delete set null;
+alter table public.profiles
+  add column if not exists locale text check (locale ~ '^[a-z]{2,3}(-[A-Z]{2})?$');
+-- Interface language (a message catalog code such as 'hi'); null keeps the language last used on the device.
+alter table public.profiles
+  add column if not exists language text check (language ~ '^[a-z]{2,3}$');
+
+-- Orders keep their INR amounts plus the currency the customer saw and the rate at purchase time, so they
+-- display the same after rates change.
+alter table public.orders add column if not exists currency text not null default 'INR';
+alter table public.orders add column if not exists exchange_rate numeric(18, 8) not null default 1 check (exchange_rate > 0);
+
+-- total = subtotal - discount + tax + shipping_fee. Orders placed before tax and shipping were recorded have no
+-- amounts for them.
+alter table public.orders add column if not exists tax numeric(12, 2) check (tax >= 0);
+alter table public.orders add column if not exists shipping_fee numeric(12, 2) check (shipping_fee >= 0);
+alter table public.orders alter column tax drop not null, alter column tax drop default;
+alter table public.orders alter column shipping_fee drop not null, alter column shipping_fee drop default;
+
+-- Set by place_order() when it stores tax and shipping_fee, so the app can tell real zero charges (no GST, free
+-- shipping) from orders that predate them. An earlier version of this migration filled existing orders with zero
+-- tax and shipping, so when the flag is first added only orders with non-zero charges are marked as recorded.
+do $$
+begin
+  if not exists (
+    select 1
+    from information_schema.columns
+    where table_schema = 'public'
+      and table_name = 'orders'
+      and column_name = 'charges_recorded'
+  ) then
+    alter table public.orders add column charges_recorded boolean not null default false;
+    update public.orders set charges_recorded = true where coalesce(tax, 0) > 0 or coalesce(shipping_fee, 0) > 0;
+  end if;
+end;
+$$;
+
+-- Prices a cart for the checkout breakdown; place_order() stores the same numbers on the order.
+-- Each line is taxed after its share of the coupon discount, at its category rate or the store default.
+-- Shipping is free once the discounted subtotal reaches free_shipping_threshold.
+create or replace function public.price_order(items jsonb, code text default null)
+returns table (
+  subtotal numeric,
+  discount numeric,
+  tax numeric,
+  shipping_fee numeric,
+  total numeric,
+  coupon_id uuid,
+  coupon_code text
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  settings public.store_settings;
+  coupon_category_ids uuid[] := '{}';
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select s.*
+  into settings
+  from public.store_settings s
+  where s.id;
+
+  discount := 0;
+
+  if btrim(coalesce(price_order.code, '')) <> '' then
+    select coupon_quote.coupon_id, coupon_quote.coupon_code, coupon_quote.discount
+    into coupon_id, coupon_code, discount
+    from public.quote_coupon(price_order.code, items) as coupon_quote;
+
+    select c.category_ids
+    into coupon_category_ids
+    from public.coupons c
+    where c.id = price_order.coupon_id;
+  end if;
+
+  with lines as (
+    select
+      p.price * requested.quantity as line_total,
+      coalesce(c.tax_rate, settings.default_tax_rate, 0) as tax_rate,
+      cardinality(coupon_category_ids) = 0 or p.category_id = any(coupon_category_ids) as eligible
+    from jsonb_to_recordset(items) as requested(product_id text, quantity integer)
+    join public.products p on p.id::text = requested.product_id
+    join public.categories c on c.id = p.category_id
+    where requested.quantity > 0
+  ),
+  totals as (
+    select
+      coalesce(sum(lines.line_total), 0) as line_total,
+      coalesce(sum(lines.line_total) filter (where lines.eligible), 0) as eligible_total
+    from lines
   )
+  select
+    totals.line_total,
+    coalesce(round(sum(
+      (
+        lines.line_total
+        - case
+            when lines.eligible and totals.eligible_total > 0
+              then price_order.discount * lines.line_total / totals.eligible_total
+            else 0
+          end
+      ) * lines.tax_rate / 100
+    ), 2), 0)
+  into subtotal, tax
+  from totals
+  left join lines on true
+  group by totals.line_total;
+
+  shipping_fee := case
+    when price_order.subtotal = 0 then 0
+    when settings.free_shipping_threshold is not null
+      and price_order.subtotal - price_order.discount >= settings.free_shipping_threshold then 0
+    else coalesce(settings.shipping_fee, 0)
+  end;
+  total := price_order.subtotal - price_order.discount + price_order.tax + price_order.shipping_fee;
+
+  return next;
+end;
+$$;
+
+revoke execute on function public.price_order(jsonb, text) from public, anon;
+grant execute on function public.price_order(jsonb, text) to authenticated;
+
+drop function if exists public.create_order_with_items(jsonb);
+drop function if exists public.place_order(jsonb);
+drop function if exists public.place_order(jsonb, uuid);
+
+-- Checkout entry point. Clients send only product ids, quantities, one of their saved addresses and an
+-- optional coupon code:
+--   select public.place_order('[{"product_id": "42", "quantity": 2}]', '<address uuid>', 'FLASH40');
+-- Prices and names are read from public.products and the totals from public.price_order(), so the client
+-- cannot set its own total.
+create or replace function public.place_order(items jsonb, address_id uuid, coupon_code text default null)
+returns public.orders
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  new_order public.orders;
+  missing_product text;
+  short_product_name text;
+  short_product_stock integer;
+  address_snapshot jsonb;
+  pricing record;
+  order_currency text;
+  order_rate numeric;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if items is null or jsonb_typeof(items) <> 'array' or jsonb_array_length(items) = 0 then
+    raise exception 'Order must contain at least one item';
+  end if;
+
+  select to_jsonb(a) - 'id' - 'user_id' - 'is_default' - 'created_at'
+  into address_snapshot
+  from public.addresses a
+  where a.id = place_order.address_id
+    and a.user_id = auth.uid();
+
+  if address_snapshot is null then
+    raise exception 'Choose one of your saved addresses for delivery';
+  end if;
+
+  if exists (
+    select 1
+    from jsonb_to_recordset(items) as requested(product_id text, quantity integer)
+    where requested.product_id is null
+      or requested.quantity is null
+      or requested.quantity <= 0
+  ) then
+    raise exception 'Every item needs a product_id and a positive quantity';
+  end if;
+
+  select requested.product_id
+  into missing_product
+  from jsonb_to_recordset(items) as requested(product_id text, quantity integer)
+  left join public.products p on p.id::text = requested.product_id
+  where p.id is null
+  limit 1;
+
+  if missing_product is not null then
+    raise exception 'Product % is no longer available', missing_product;
+  end if;
+
+  -- Lock the product rows so prices stay put and concurrent checkouts queue up on stock.
+  perform 1
+  from public.products p
+  where p.id::text in (select requested.product_id from jsonb_to_recordset(items) as requested(product_id text))
+  for update;
+
+  select p.name, p.stock
+  into short_product_name, short_product_stock
+  from (
+    select product_id, sum(quantity) as quantity
+    from jsonb_to_recordset(items) as requested(product_id text, quantity integer)
+    group by product_id
+  ) as requested
+  join public.products p on p.id::text = requested.product_id
+  where p.stock < requested.quantity
+  limit 1;
+
+  if short_product_name is not null then
+    raise exception 'Not enough stock for %: only % left', short_product_name, short_product_stock;
+  end if;
+
+  if btrim(coalesce(place_order.coupon_code, '')) <> '' then
+    -- Lock the coupon so concurrent checkouts cannot both take its last use.
+    perform 1
+    from public.coupons c
+    where c.code = upper(btrim(place_order.coupon_code))
+    for update;
+  end if;
+
+  select *
+  into pricing
+  from public.price_order(items, place_order.coupon_code);
+
+  select r.currency, r.rate
+  into order_currency, order_rate
+  from public.exchange_rates r
+  where r.currency = coalesce(
+    (select pr.currency from public.profiles pr where pr.id = auth.uid()),
+    (select s.default_currency from public.store_settings s where s.id),
+    'INR'
+  );
+
+  insert into public.orders (
+    user_id,
+    subtotal,
+    discount,
+    tax,
+    shipping_fee,
+    charges_recorded,
+    stock_reserved,
+    total,
+    items_count,
+    shipping_address,
+    coupon_id,
+    coupon_code,
+    currency,
+    exchange_rate
+  )
+  select
+    auth.uid(),
+    pricing.subtotal,
+    pricing.discount,
+    pricing.tax,
+    pricing.shipping_fee,
+    true,
+    true,
+    pricing.total,
+    sum(requested.quantity),
+    address_snapshot,
+    pricing.coupon_id,
+    pricing.coupon_code,
+    coalesce(order_currency, 'INR'),
+    coalesce(order_rate, 1)
+  from jsonb_to_recordset(items) as requested(product_id text, quantity integer)
+  returning * into new_order;
+
+  insert into public.order_items (order_id, product_id, product_name, unit_price, quantity)
+  select
+    new_order.id,
+    p.id::text,
+    p.name,
+    p.price,
+    sum(requested.quantity)
+  from jsonb_to_recordset(items) as requested(product_id text, quantity integer)
+  join public.products p on p.id::text = requested.product_id
+  group by p.id, p.name, p.price;
+
+  update public.products p
+  set stock = p.stock - requested.quantity
+  from (
+    select product_id, sum(quantity) as quantity
+    from jsonb_to_recordset(items) as requested(product_id text, quantity integer)
+    group by product_id
+  ) as requested
+  where p.id::text = requested.product_id;
+
+  return new_order;
+end;
+$$;
+
+revoke execute on function public.place_order(jsonb, uuid, text) from public, anon;
+grant execute on function public.place_order(jsonb, uuid, text) to authenticated;
+
+-- Payments against orders. Rows are written only by the functions below: create_payment_intent() when checkout
+-- starts a payment and confirm_payment() when the gateway reports the result.
+-- Orders placed before payments existed were never asked to pay, so when the table is first created each of them
+-- that is not cancelled gets a succeeded 'legacy' payment for its total. Otherwise the orders trigger would keep
+-- them in Placed and customers would be asked to pay for them again.
+do $$
+begin
+  if to_regclass('public.payments') is null then
+    create table public.payments (
+      id uuid primary key default gen_random_uuid(),
+      order_id uuid not null references public.orders(id) on delete cascade,
+      user_id uuid not null references public.profiles(id) on delete cascade,
+      provider text not null check (char_length(btrim(provider)) > 0),
+      provider_ref text not null,
+      amount numeric(12, 2) not null check (amount >= 0),
+      currency text not null default 'INR',
+      status text not null default 'pending' check (status in ('pending', 'succeeded', 'failed', 'refunded')),
+      failure_reason text,
+      created_at timestamptz not null default now(),
+      updated_at timestamptz not null default now(),
+      constraint payments_provider_ref_key unique (provider, provider_ref)
+    );
+
+    insert into public.payments (order_id, user_id, provider, provider_ref, amount, status, created_at, updated_at)
+    select o.id, o.user_id, 'legacy', o.id::text, o.total, 'succeeded', o.created_at, o.created_at
+    from public.orders o
+    where o.status <> 'Cancelled';
+  end if;
+end;
+$$;
+
+create index if not exists payments_order_id_idx on public.payments(order_id, created_at);
+
+alter table public.payments enable row level security;
+
+drop policy if exists "payments_select_own_or_order_staff" on public.payments;
+create policy "payments_select_own_or_order_staff"
+on public.payments
+for select
+to authenticated
+using (
+  user_id = auth.uid()
+  or public.has_permission('orders.manage')
+);
+
+-- The mock provider lets customers mark their own orders paid without a gateway, so it is off unless a dev or
+-- demo project turns it on with `update public.store_settings set mock_payments_enabled = true;`.
+alter table public.store_settings add column if not exists mock_payments_enabled boolean not null default false;
+
+-- Checkout step: starts a payment for the order total with the chosen provider and returns it as pending.
+-- Any earlier pending attempt for the order is marked failed. To add a gateway, accept its name here and create
+-- the intent with it (for example from an edge function) before storing its reference. A provider that is not
+-- available raises SQLSTATE PY503 so the checkout can say that payments are not set up.
+create or replace function public.create_payment_intent(order_id uuid, provider text default 'mock')
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  target_order public.orders;
+  new_payment public.payments;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if create_payment_intent.provider <> 'mock' then
+    raise exception 'Payment provider % is not configured', create_payment_intent.provider using errcode = 'PY503';
+  end if;
+
+  if not coalesce((select s.mock_payments_enabled from public.store_settings s where s.id), false) then
+    raise exception 'The mock payment provider is disabled' using errcode = 'PY503';
+  end if;
+
+  select *
+  into target_order
+  from public.orders o
+  where o.id = create_payment_intent.order_id
+    and o.user_id = auth.uid()
+  for update;
+
+  if target_order.id is null then
+    raise exception 'Order not found';
+  end if;
+
+  if target_order.status <> 'Placed' then
+    raise exception 'Orders that are % cannot be paid', target_order.status;
+  end if;
+
+  if exists (
+    select 1
+    from public.payments pay
+    where pay.order_id = target_order.id
+      and pay.status = 'succeeded'
+  ) then
+    raise exception 'Order % is already paid', target_order.id;
+  end if;
+
+  update public.payments pay
+  set status = 'failed',
+      failure_reason = 'Replaced by a new payment attempt',
+      updated_at = now()
+  where pay.order_id = target_order.id
+    and pay.status = 'pending';
+
+  insert into public.payments (order_id, user_id, provider, provider_ref, amount)
+  values (
+    target_order.id,
+    auth.uid(),
+    create_payment_intent.provider,
+    create_payment_intent.provider || '_' || replace(gen_random_uuid()::text, '-', ''),
+    target_order.total
+  )
+  returning * into new_payment;
+
+  return new_payment;
+end;
+$$;
+
+revoke execute on function public.create_payment_intent(uuid, text) from public, anon;
+grant execute on function public.create_payment_intent(uuid, text) to authenticated;
+
+-- Webhook-style confirmation. A gateway webhook, running with the service role, reports the outcome for its
+-- provider reference; customers may only confirm their own mock payments, and only as succeeded or failed.
+-- A successful payment moves a Placed order to Processing. Repeated notifications return the payment unchanged.
+create or replace function public.confirm_payment(
+  provider text,
+  provider_ref text,
+  outcome text,
+  failure_reason text default null
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  payment public.payments;
+  from_gateway boolean := coalesce(auth.jwt() ->> 'role', '') = 'service_role';
+begin
+  if outcome not in ('succeeded', 'failed', 'refunded') then
+    raise exception 'Unknown payment outcome %', outcome;
+  end if;
+
+  select *
+  into payment
+  from public.payments pay
+  where pay.provider = confirm_payment.provider
+    and pay.provider_ref = confirm_payment.provider_ref
+  for update;
+
+  if payment.id is null then
+    raise exception 'Payment not found';
+  end if;
+
+  if not from_gateway and not (
+    payment.provider = 'mock'
+    and payment.user_id = auth.uid()
+    and outcome in ('succeeded', 'failed')
+  ) then
+    raise exception 'Only the payment provider can confirm this payment';
+  end if;
+
+  -- Turning the mock provider off also stops confirming mock payments that were started while it was on.
+  if not from_gateway
+    and not coalesce((select s.mock_payments_enabled from public.store_settings s where s.id), false) then
+    raise exception 'The mock payment provider is disabled';
+  end if;
+
+  if payment.status = outcome then
+    return payment;
+  end if;
+
+  -- A cancelled order is never fulfilled, so it cannot be paid for; the gateway should void or refund the capture.
+  if outcome = 'succeeded'
+    and exists (select 1 from public.orders o where o.id = payment.order_id and o.status = 'Cancelled') then
+    raise exception 'Order % is cancelled and cannot be paid', payment.order_id;
+  end if;
+
+  -- A gateway may still capture an attempt that was replaced, so failed payments can succeed late.
+  if not (
+    (payment.status in ('pending', 'failed') and outcome in ('succeeded', 'failed'))
+    or (payment.status = 'succeeded' and outcome = 'refunded')
+  ) then
+    raise exception 'Payment cannot change from % to %', payment.status, outcome;
+  end if;
+
+  update public.payments pay
+  set status = outcome,
+      failure_reason = case
+        when outcome = 'failed' then coalesce(nullif(btrim(confirm_payment.failure_reason), ''), 'Payment declined')
+      end,
+      updated_at = now()
+  where pay.id = payment.id
+  returning * into payment;
+
+  if outcome = 'succeeded' then
+    update public.orders o
+    set status = 'Processing'
+    where o.id = payment.order_id
+      and o.status = 'Placed';
+  end if;
+
+  return payment;
+end;
+$$;
+
+revoke execute on function public.confirm_payment(text, text, text, text) from public, anon;
+grant execute on function public.confirm_payment(text, text, text, text) to authenticated, service_role;
+
+-- Full-text search over product name and description for the paged product queries.
+alter table public.products add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A')
+    || setweight(to_tsvector('english', coalesce(description, '')), 'B')
+  ) stored;
+
+create index if not exists products_search_vector_idx on public.products using gin (search_vector);
+create index if not exists orders_order_date_idx on public.orders(order_date desc, created_at desc);
+
+-- Admin order search by ID or customer email. Runs as the caller, so RLS still decides which orders come back;
+-- the client adds status, day, sort and range filters to the result.
+create or replace function public.search_orders(search text default null)
+returns setof public.orders
+language sql
+stable
+set search_path = public
+as $$
+  select o.*
+  from public.orders o
+  left join public.profiles p on p.id = o.user_id
+  where coalesce(btrim(search), '') = ''
+    or position(lower(btrim(search)) in o.id::text) > 0
+    or position(lower(btrim(search)) in lower(coalesce(p.email, ''))) > 0;
+$$;
+
+revoke execute on function public.search_orders(text) from public, anon;
+grant execute on function public.search_orders(text) to authenticated;
+
+-- Headline numbers for the View Orders page, which no longer loads every order.
+create or replace function public.admin_order_summary()
+returns table (total_orders bigint, open_orders bigint, total_revenue numeric)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_permission('orders.manage') then
+    raise exception 'You are not allowed to view order statistics';
+  end if;
+
+  return query
+  select
+    count(*),
+    count(*) filter (where o.status in ('Placed', 'Processing', 'Shipped')),
+    coalesce(sum(o.total) filter (where o.status <> 'Cancelled'), 0)
+  from public.orders o;
+end;
+$$;
+
+revoke execute on function public.admin_order_summary() from public, anon;
+grant execute on function public.admin_order_summary() to authenticated;
+
+-- Sales analytics for the Admin Portal over an order_date range, grouped by day, week or month.
+-- Cancelled orders count in the status breakdown only; revenue, order counts and rankings ignore them.
+create or replace function public.admin_sales_report(from_date date, to_date date, bucket text default 'day')
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_permission('analytics.view') then
+    raise exception 'You are not allowed to view sales analytics';
+  end if;
+
+  if from_date is null or to_date is null or from_date > to_date then
+    raise exception 'Choose a start date on or before the end date';
+  end if;
+
+  if bucket not in ('day', 'week', 'month') then
+    raise exception 'Group by day, week or month';
+  end if;
+
+  if bucket = 'day' and to_date - from_date > 366 then
+    raise exception 'Group ranges longer than a year by week or month';
+  end if;
+
+  return (
+    with ranged as (
+      select o.*
+      from public.orders o
+      where o.order_date between from_date and to_date
+    ),
+    sold as (
+      select *
+      from ranged
+      where status <> 'Cancelled'
+    ),
+    sold_items as (
+      select oi.product_id, oi.product_name, oi.quantity, oi.unit_price * oi.quantity as revenue
+      from sold
+      join public.order_items oi on oi.order_id = sold.id
+    ),
+    periods as (
+      select date_trunc(bucket, order_date::timestamp) as period, count(*) as orders, sum(total) as revenue
+      from sold
+      group by 1
+    )
+    select jsonb_build_object(
+      'summary', (
+        select jsonb_build_object(
+          'orders', count(*),
+          'revenue', coalesce(sum(total), 0),
+          'average_order_value', coalesce(round(avg(total), 2), 0)
+        )
+        from sold
+      ),
+      'series', (
+        select coalesce(
+          jsonb_agg(
+            jsonb_build_object(
+              'period', slot.period::date,
+              'orders', coalesce(periods.orders, 0),
+              'revenue', coalesce(periods.revenue, 0)
+            )
+            order by slot.period
+          ),
+          '[]'::jsonb
+        )
+        from generate_series(
+          date_trunc(bucket, from_date::timestamp),
+          to_date::timestamp,
+          ('1 ' || bucket)::interval
+        ) as slot(period)
+        left join periods on periods.period = slot.period
+      ),
+      'statuses', (
+        select coalesce(jsonb_agg(jsonb_build_object('status', status, 'orders', orders, 'revenue', revenue)), '[]'::jsonb)
+        from (
+          select status, count(*) as orders, sum(total) as revenue
+          from ranged
+          group by status
+        ) as by_status
+      ),
+      'top_products', (
+        select coalesce(jsonb_agg(to_jsonb(ranked) order by ranked.revenue desc), '[]'::jsonb)
+        from (
+          select product_id, max(product_name) as product_name, sum(quantity) as units, sum(revenue) as revenue
+          from sold_items
+          group by product_id
+          order by revenue desc
+          limit 5
+        ) as ranked
+      ),
+      'top_categories', (
+        select coalesce(jsonb_agg(to_jsonb(ranked) order by ranked.revenue desc), '[]'::jsonb)
+        from (
+          select
+            c.id as category_id,
+            coalesce(c.name, 'Uncategorized') as category_name,
+            sum(sold_items.quantity) as units,
+            sum(sold_items.revenue) as revenue
+          from sold_items
+          left join public.products p on p.id::text = sold_items.product_id
+          left join public.categories c on c.id = p.category_id
+          group by c.id, c.name
+          order by revenue desc
+          limit 5
+        ) as ranked
+      )
+    )
+  );
+end;
+$$;
+
+revoke execute on function public.admin_sales_report(date, date, text) from public, anon;
+grant execute on function public.admin_sales_report(date, date, text) to authenticated;
+
+-- However an order gets cancelled (by its customer or by order staff), any payment still pending for it fails
+-- and the stock it reserved goes back on the shelf.
+create or replace function public.handle_order_cancelled()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.payments pay
+  set status = 'failed',
+      failure_reason = 'Order cancelled',
+      updated_at = now()
+  where pay.order_id = new.id
+    and pay.status = 'pending';
+
+  if new.stock_reserved then
+    update public.products p
+    set stock = p.stock + oi.quantity
+    from (
+      select product_id, sum(quantity) as quantity
+      from public.order_items
+      where order_items.order_id = new.id
+      group by product_id
+    ) as oi
+    where p.id::text = oi.product_id;
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists orders_handle_cancelled on public.orders;
+create trigger orders_handle_cancelled
+after update of status on public.orders
+for each row
+when (new.status = 'Cancelled' and old.status is distinct from 'Cancelled')
+execute function public.handle_order_cancelled();
+
+-- Customers can cancel their own orders until they ship; orders_handle_cancelled restocks and fails the payment.
+create or replace function public.cancel_order(order_id uuid)
+returns public.orders
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  cancelled_order public.orders;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select *
+  into cancelled_order
+  from public.orders o
+  where o.id = cancel_order.order_id
+    and o.user_id = auth.uid()
+  for update;
+
+  if cancelled_order.id is null then
+    raise exception 'Order not found';
+  end if;
+
+  if cancelled_order.status not in ('Placed', 'Processing') then
+    raise exception 'Orders that are % can no longer be cancelled', cancelled_order.status;
+  end if;
+
+  update public.orders o
+  set status = 'Cancelled'
+  where o.id = cancelled_order.id
+  returning * into cancelled_order;
+
+  return cancelled_order;
+end;
+$$;
+
+revoke execute on function public.cancel_order(uuid) from public, anon;
+grant execute on function public.cancel_order(uuid) to authenticated;
+
+-- Return/refund requests for delivered orders. One per order; customers open them, order staff resolve them.
+create table if not exists public.return_requests (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null unique references public.orders(id) on delete cascade,
+  user_id uuid not null references public.profiles(id) on delete cascade,
+  reason text not null check (char_length(btrim(reason)) between 1 and 500),
+  status text not null default 'Pending' check (status in ('Pending', 'Approved', 'Rejected')),
+  admin_note text,
+  resolved_by uuid references public.profiles(id) on delete set null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists return_requests_status_idx on public.return_requests(status, created_at);
+
+alter table public.return_requests enable row level security;
+
+-- Writes go through request_return / resolve_return_request, so only reads are exposed directly.
+drop policy if exists "return_requests_select_own_or_admin" on public.return_requests;
+drop policy if exists "return_requests_select_own_or_order_staff" on public.return_requests;
+create policy "return_requests_select_own_or_order_staff"
+on public.return_requests
+for select
+to authenticated
+using (user_id = auth.uid() or public.has_permission('orders.manage'));
+
+create or replace function public.request_return(order_id uuid, reason text)
+returns public.return_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  order_status text;
+  new_request public.return_requests;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if reason is null or char_length(btrim(reason)) = 0 then
+    raise exception 'A reason is required to request a return';
+  end if;
+
+  select o.status
+  into order_status
+  from public.orders o
+  where o.id = request_return.order_id
+    and o.user_id = auth.uid();
+
+  if order_status is null then
+    raise exception 'Order not found';
+  end if;
+
+  if order_status <> 'Delivered' then
+    raise exception 'Only delivered orders can be returned';
+  end if;
+
+  if exists (select 1 from public.return_requests r where r.order_id = request_return.order_id) then
+    raise exception 'A return has already been requested for this order';
+  end if;
+
+  insert into public.return_requests (order_id, user_id, reason)
+  values (request_return.order_id, auth.uid(), btrim(reason))
+  returning * into new_request;
+
+  return new_request;
+end;
+$$;
+
+revoke execute on function public.request_return(uuid, text) from public, anon;
+grant execute on function public.request_return(uuid, text) to authenticated;
+
+create or replace function public.resolve_return_request(request_id uuid, decision text, admin_note text default null)
+returns public.return_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  resolved_request public.return_requests;
+begin
+  if not public.has_permission('orders.manage') then
+    raise exception 'You are not allowed to resolve return requests';
+  end if;
+
+  if decision not in ('Approved', 'Rejected') then
+    raise exception 'Decision must be Approved or Rejected';
+  end if;
+
+  update public.return_requests r
+  set
+    status = decision,
+    admin_note = nullif(btrim(resolve_return_request.admin_note), ''),
+    resolved_by = auth.uid(),
+    resolved_at = now()
+  where r.id = request_id
+    and r.status = 'Pending'
+  returning * into resolved_request;
+
+  if resolved_request.id is null then
+    raise exception 'Return request not found or already resolved';
+  end if;
+
+  return resolved_request;
+end;
+$$;
+
+revoke execute on function public.resolve_return_request(uuid, text, text) from public, anon;
+grant execute on function public.resolve_return_request(uuid, text, text) to authenticated;
+
+-- One saved cart per user so it follows them across devices.
+-- items holds [{"product_id": "...", "name": "...", "quantity": 1, "updated_at": "..."}] and removed maps product ids
+-- to when they left the cart. On login the client merges both with its local cart product by product.
+create table if not exists public.carts (
+  user_id uuid primary key references public.profiles(id) on delete cascade,
+  items jsonb not null default '[]'::jsonb check (jsonb_typeof(items) = 'array'),
+  removed jsonb not null default '{}'::jsonb check (jsonb_typeof(removed) = 'object'),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.carts add column if not exists removed jsonb not null default '{}'::jsonb check (jsonb_typeof(removed) = 'object');
+
+alter table public.carts enable row level security;
+
+drop policy if exists "carts_select_own" on public.carts;
+create policy "carts_select_own"
+on public.carts
+for select
+to authenticated
+using (user_id = auth.uid());
+
+drop policy if exists "carts_insert_own" on public.carts;
+create policy "carts_insert_own"
+on public.carts
+for insert
+to authenticated
+with check (user_id = auth.uid());
+
+drop policy if exists "carts_update_own" on public.carts;
+create policy "carts_update_own"
+on public.carts
+for update
+to authenticated
+using (user_id = auth.uid())
+with check (user_id = auth.uid());
+
+drop policy if exists "carts_delete_own" on public.carts;
+create policy "carts_delete_own"
+on public.carts
+for delete
+to authenticated
+using (user_id = auth.uid());
+
+-- Extra gallery images for the product detail page. The primary image stays in products.image.
+-- Files live in the product-images bucket; storage_path lets the admin UI delete them again.
+-- products is created outside this script, so product_id copies whatever type products.id has.
+do $$
+declare
+  product_id_type text;
+begin
+  select format_type(a.atttypid, a.atttypmod)
+  into product_id_type
+  from pg_attribute a
+  where a.attrelid = 'public.products'::regclass
+    and a.attname = 'id';
+
+  execute format(
+    'create table if not exists public.product_images (
+      id uuid primary key default gen_random_uuid(),
+      product_id %s not null references public.products(id) on delete cascade,
+      image_url text not null,
+      storage_path text,
+      sort_order integer not null default 0,
+      created_at timestamptz not null default now()
+    )',
+    product_id_type
+  );
+end;
+$$;
+
+create index if not exists product_images_product_id_idx on public.product_images(product_id, sort_order);
+
+alter table public.product_images enable row level security;
+
+drop policy if exists "product_images_select_authenticated" on public.product_images;
+create policy "product_images_select_authenticated"
+on public.product_images
+for select
+to authenticated
+using (true);
+
+drop policy if exists "product_images_insert_admin_only" on public.product_images;
+drop policy if exists "product_images_insert_catalog_staff_only" on public.product_images;
+create policy "product_images_insert_catalog_staff_only"
+on public.product_images
+for insert
+to authenticated
+with check (public.has_permission('catalog.manage'));
+
+drop policy if exists "product_images_update_admin_only" on public.product_images;
+drop policy if exists "product_images_update_catalog_staff_only" on public.product_images;
+create policy "product_images_update_catalog_staff_only"
+on public.product_images
+for update
+to authenticated
+using (public.has_permission('catalog.manage'))
+with check (public.has_permission('catalog.manage'));
+
+drop policy if exists "product_images_delete_admin_only" on public.product_images;
+drop policy if exists "product_images_delete_catalog_staff_only" on public.product_images;
+create policy "product_images_delete_catalog_staff_only"
+on public.product_images
+for delete
+to authenticated
+using (public.has_permission('catalog.manage'));
+
+-- Customer reviews. products.rating and products.review_count are derived from published reviews by a trigger.
+alter table public.products add column if not exists review_count integer not null default 0;
+
+do $$
+declare
+  product_id_type text;
+begin
+  select format_type(a.atttypid, a.atttypmod)
+  into product_id_type
+  from pg_attribute a
+  where a.attrelid = 'public.products'::regclass
+    and a.attname = 'id';
+
+  execute format(
+    'create table if not exists public.reviews (
+      id uuid primary key default gen_random_uuid(),
+      product_id %s not null references public.products(id) on delete cascade,
+      user_id uuid not null references public.profiles(id) on delete cascade,
+      rating smallint not null check (rating between 1 and 5),
+      comment text not null default '''' check (char_length(comment) <= 1000),
+      status text not null default ''published'' check (status in (''published'', ''hidden'')),
+      created_at timestamptz not null default now(),
+      updated_at timestamptz not null default now(),
+      unique (product_id, user_id)
+    )',
+    product_id_type
+  );
+end;
+$$;
+
+create index if not exists reviews_product_id_idx on public.reviews(product_id, created_at desc);
+
+-- True when the current user has a non-cancelled order containing the product.
+create or replace function public.has_ordered_product(target_product_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.order_items oi
+    join public.orders o on o.id = oi.order_id
+    where o.user_id = auth.uid()
+      and o.status <> 'Cancelled'
+      and oi.product_id = target_product_id
+  );
+$$;
+
+create or replace function public.refresh_product_rating()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- Refreshes both sides when an update moves a review to another product; old or new is null on insert/delete.
+  update public.products p
+  set
+    rating = coalesce(stats.average_rating, 0),
+    review_count = coalesce(stats.review_count, 0)
+  from (
+    select
+      target.product_id,
+      round(avg(r.rating)::numeric, 1) as average_rating,
+      count(r.id)::integer as review_count
+    from (select distinct unnest(array[old.product_id, new.product_id]) as product_id) as target
+    left join public.reviews r
+      on r.product_id = target.product_id
+      and r.status = 'published'
+    where target.product_id is not null
+    group by target.product_id
+  ) as stats
+  where p.id = stats.product_id;
+
+  return null;
+end;
+$$;
+
+-- The update policy only re-checks ownership, so without this an author could move their review onto a product
+-- they never ordered. Catalog staff may still reassign reviews.
+create or replace function public.protect_review_owner()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if (new.product_id is distinct from old.product_id or new.user_id is distinct from old.user_id)
+    and not public.has_permission('catalog.manage') then
+    raise exception 'A review cannot be moved to another product or author';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists reviews_protect_owner on public.reviews;
+create trigger reviews_protect_owner
+before update of product_id, user_id on public.reviews
+for each row execute function public.protect_review_owner();
+
+drop trigger if exists reviews_refresh_product_rating on public.reviews;
+create trigger reviews_refresh_product_rating
+after insert or update or delete on public.reviews
+for each row execute function public.refresh_product_rating();
+
+alter table public.reviews enable row level security;
+
+drop policy if exists "reviews_select_published_own_or_admin" on public.reviews;
+drop policy if exists "reviews_select_published_own_or_catalog_staff" on public.reviews;
+create policy "reviews_select_published_own_or_catalog_staff"
+on public.reviews
+for select
+to authenticated
+using (
+  status = 'published'
+  or user_id = auth.uid()
+  or public.has_permission('catalog.manage')
+);
+
+drop policy if exists "reviews_insert_own_ordered" on public.reviews;
+create policy "reviews_insert_own_ordered"
+on public.reviews
+for insert
+to authenticated
+with check (
+  user_id = auth.uid()
+  and status = 'published'
+  and public.has_ordered_product(product_id::text)
+);
+
+-- Authors may edit their own published review; only catalog staff can hide, publish or edit hidden ones.
+drop policy if exists "reviews_update_own_or_admin" on public.reviews;
+drop policy if exists "reviews_update_own_or_catalog_staff" on public.reviews;
+create policy "reviews_update_own_or_catalog_staff"
+on public.reviews
+for update
+to authenticated
+using (
+  (user_id = auth.uid() and status = 'published')
+  or public.has_permission('catalog.manage')
+)
+with check (
+  (user_id = auth.uid() and status = 'published')
+  or public.has_permission('catalog.manage')
+);
+
+drop policy if exists "reviews_delete_own_or_admin" on public.reviews;
+drop policy if exists "reviews_delete_own_or_catalog_staff" on public.reviews;
+create policy "reviews_delete_own_or_catalog_staff"
+on public.reviews
+for delete
+to authenticated
+using (user_id = auth.uid() or public.has_permission('catalog.manage'));
+
+-- Promotional banners shown above the product list. Customers only read banners inside their active window;
+-- catalog staff see and edit all of them.
+create table if not exists public.banners (
+  id uuid primary key default gen_random_uuid(),
+  title text not null check (char_length(btrim(title)) between 1 and 80),
+  subtitle text not null default '' check (char_length(subtitle) <= 160),
+  cta_label text not null default '' check (char_length(cta_label) <= 40),
+  cta_type text not null default 'none' check (cta_type in ('none', 'category', 'product', 'url')),
+  cta_target text,
+  image text,
+  sort_order integer not null default 0,
+  starts_at timestamptz,
+  ends_at timestamptz,
+  created_at timestamptz not null default now(),
+  constraint banners_cta_target_required check (cta_type = 'none' or char_length(btrim(coalesce(cta_target, ''))) > 0),
+  constraint banners_cta_url_http check (cta_type <> 'url' or cta_target ~* '^https?://'),
+  constraint banners_active_window check (starts_at is null or ends_at is null or starts_at < ends_at)
+);
+
+create index if not exists banners_sort_order_idx on public.banners(sort_order, created_at);
+
+alter table public.banners enable row level security;
+
+drop policy if exists "banners_select_active_or_catalog_staff" on public.banners;
+create policy "banners_select_active_or_catalog_staff"
+on public.banners
+for select
+to authenticated
+using (
+  ((starts_at is null or starts_at <= now()) and (ends_at is null or ends_at > now()))
+  or public.has_permission('catalog.manage')
+);
+
+drop policy if exists "banners_insert_catalog_staff_only" on public.banners;
+create policy "banners_insert_catalog_staff_only"
+on public.banners
+for insert
+to authenticated
+with check (public.has_permission('catalog.manage'));
+
+drop policy if exists "banners_update_catalog_staff_only" on public.banners;
+create policy "banners_update_catalog_staff_only"
+on public.banners
+for update
+to authenticated
+using (public.has_permission('catalog.manage'))
+with check (public.has_permission('catalog.manage'));
+
+drop policy if exists "banners_delete_catalog_staff_only" on public.banners;
+create policy "banners_delete_catalog_staff_only"
+on public.banners
+for delete
+to authenticated
+using (public.has_permission('catalog.manage'));
+
+-- Stream catalog and order changes to open sessions through Supabase Realtime. Subscribers only receive
+-- rows their select policies allow, so customers see their own orders and order staff see all of them.
+do $$
+declare
+  realtime_table text;
+begin
+  if not exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+    return;
+  end if;
+
+  foreach realtime_table in array array['categories', 'products', 'orders', 'return_requests', 'payments'] loop
+    if to_regclass(format('public.%I', realtime_table)) is not null
+      and not exists (
+        select 1
+        from pg_publication_tables
+        where pubname = 'supabase_realtime'
+          and schemaname = 'public'
+          and tablename = realtime_table
+      ) then
+      execute format('alter publication supabase_realtime add table public.%I', realtime_table);
+    end if;
+  end loop;
+end;
+$$;
+
+-- Storage RLS for product images bucket.
+-- If you upload an image while adding a product, storage.objects policies must also allow it.
+drop policy if exists "product_images_select_public" on storage.objects;
+create policy "product_images_select_public"
+on storage.objects
+for select
+to public
+using (bucket_id = 'product-images');
+
+drop policy if exists "product_images_admin_insert" on storage.objects;
+drop policy if exists "product_images_catalog_staff_insert" on storage.objects;
+create policy "product_images_catalog_staff_insert"
+on storage.objects
+for insert
+to authenticated
+with check (
+  bucket_id = 'product-images'
+  and public.has_permission('catalog.manage')
+);
+
+drop policy if exists "product_images_admin_update" on storage.objects;
+drop policy if exists "product_images_catalog_staff_update" on storage.objects;
+create policy "product_images_catalog_staff_update"
+on storage.objects
+for update
+to authenticated
+using (
+  bucket_id = 'product-images'
+  and public.has_permission('catalog.manage')
+)
+with check (
+  bucket_id = 'product-images'
+  and public.has_permission('catalog.manage')
+);
+
+drop policy if exists "product_images_admin_delete" on storage.objects;
+drop policy if exists "product_images_catalog_staff_delete" on storage.objects;
+create policy "product_images_catalog_staff_delete"
+on storage.objects
+for delete
+to authenticated
+using (
+  bucket_id = 'product-images'
+  and public.has_permission('catalog.manage')
 );